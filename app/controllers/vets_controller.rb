@@ -7,10 +7,14 @@
 #
 # @see Intake
 class VetsController < ApplicationController
+  # Providers that serve made-up data; only honoured outside production
+  DEMO_PROVIDERS = %w[fixture stub].freeze
+
   # Displays the veterinarian locations map
   #
   # Shows an interactive map with nearby vet clinics. The intake context
-  # is retrieved from params or session to show relevant location data.
+  # is retrieved from params or session to show relevant location data;
+  # its species lets the page rank specialists (e.g. wildlife rescues) first.
   #
   # @param intake_id [Integer] Optional intake ID to load context
   # @return [HTML] Renders the vets map view
@@ -21,5 +25,27 @@ class VetsController < ApplicationController
     elsif session[:intake_id].present?
       @intake = Intake.find_by(id: session[:intake_id])
     end
+
+    @species = @intake&.species
+    @places_provider = provider_setting('PLACES_PROVIDER', 'google')
+    @travel_time_provider = provider_setting('TRAVEL_TIME_PROVIDER', 'google')
+    @geocoder = provider_setting('GEOCODER', 'google')
+  end
+
+  private
+
+  # Reads a provider name from the environment
+  #
+  # Demo providers are ignored in production so made-up places, travel times
+  # and addresses never reach real users.
+  #
+  # @param key [String] Environment variable name
+  # @param default [String] Provider used when unset or not allowed
+  # @return [String] Provider name
+  def provider_setting(key, default)
+    name = ENV.fetch(key, default)
+    return default if Rails.env.production? && DEMO_PROVIDERS.include?(name)
+
+    name
   end
 end
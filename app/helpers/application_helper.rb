@@ -1,2 +1,17 @@
 module ApplicationHelper
+  # Languages with a UI catalog in app/javascript/config/locales
+  UI_LANGUAGES = %w[en de].freeze
+
+  # Locale tag for `<html lang>`
+  #
+  # The first Accept-Language entry whose language has a UI catalog, so the
+  # page and its scripts (utils/i18n) agree on one language. The full tag is
+  # kept for regional formatting (e.g. en-GB); malformed tags such as "en-"
+  # are skipped, since Intl rejects them.
+  #
+  # @return [String] Locale tag, e.g. "de-DE" (defaults to "en")
+  def page_locale
+    tags = request.headers['Accept-Language'].to_s.split(',').map { |entry| entry.split(';').first.to_s.strip }
+    tags.find { |tag| tag.match?(/\A[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*\z/) && UI_LANGUAGES.include?(tag.split('-').first.downcase) } || 'en'
+  end
 end
@@ -7,6 +7,8 @@
 
 /**
  * Custom map styling configuration (dark teal theme to match UI).
+ * Used when no Map ID is configured; a Map ID ignores inline styles, so give
+ * its cloud style the same look (see GOOGLE_MAPS_MAP_ID in the README).
  */
 export const MAP_STYLES = [
     {
@@ -73,52 +75,6 @@ export function getUserMarkerIcon() {
   }
 }
 
-/**
- * Custom marker icon configuration
- *
- * @returns {google.maps.Icon}
- */
-export function getVetMarkerIcon() {
-  const svg = `
-    <svg xmlns="http://www.w3.org/2000/svg" width="32" height="48" viewBox="0 0 32 48">
-      <!-- Clean pin shape -->
-      <path d="M16 0C7.163 0 0 7.163 0 16c0 11 16 32 16 32s16-21 16-32C32 7.163 24.837 0 16 0z"
-            fill="$card-border"/>
-
-      <!-- White circle background -->
-      <circle cx="16" cy="16" r="10" fill="#FFFFFF"/>
-    </svg>
-  `
-
-  return {
-    url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(svg),
-    scaledSize: new google.maps.Size(32, 48),
-    anchor: new google.maps.Point(16, 48), // Bottom center of the pin
-  }
-}
-
-/**
- * Active/selected marker icon configuration
- * Slightly different color to highlight the selected card/marker.
- *
- * @returns {google.maps.Icon}
- */
-export function getActiveVetMarkerIcon() {
-  const svg = `
-    <svg xmlns="http://www.w3.org/2000/svg" width="32" height="48" viewBox="0 0 32 48">
-      <path d="M16 0C7.163 0 0 7.163 0 16c0 11 16 32 16 32s16-21 16-32C32 7.163 24.837 0 16 0z"
-            fill="#ffb347"/>
-      <circle cx="16" cy="16" r="10" fill="#FFFFFF"/>
-    </svg>
-  `
-
-  return {
-    url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(svg),
-    scaledSize: new google.maps.Size(32, 48),
-    anchor: new google.maps.Point(16, 48),
-  }
-}
-
 /**
  * Main Google Maps configuration object.
  */
@@ -128,9 +84,8 @@ export const MAPS_CONFIG = {
    */
   MAP_OPTIONS: {
     zoom: 12,
-    // NOTE: Using inline styles instead of Map ID because Google Maps doesn't support
-    // custom dark styles with Map IDs (data-driven styles limitation)
-    styles: MAP_STYLES, // Custom dark teal theme
+    // No mapId here: with GOOGLE_MAPS_MAP_ID the page uses advanced markers
+    // and the Map ID's cloud style, without one classic pins and MAP_STYLES
     // Disable all default UI controls
     disableDefaultUI: true,
     // Optional: Enable only specific controls you want
@@ -143,6 +98,24 @@ export const MAPS_CONFIG = {
     fullscreenControl: false
   },
 
+  /**
+   * Maps JS SDK loading (see utils/google_maps_loader.js)
+   * The script is injected on demand with only the libraries the page needs.
+   */
+  SDK: {
+    url: "https://maps.googleapis.com/maps/api/js",
+    // Rejects with MapsUnavailableError when the SDK is not ready by then
+    timeoutMs: 10000,
+    // Always needed for the map and its advanced place pins
+    libraries: ["marker"],
+    // Only loaded when the Google places provider is used
+    placesLibraries: ["places"],
+    // Only loaded when the Google travel-time adapter is used (Distance Matrix)
+    travelTimeLibraries: ["routes"],
+    // Only loaded when the Google geocoder is used
+    geocodingLibraries: ["geocoding"]
+  },
+
   /**
    * Animal services search configuration.
    */
@@ -158,6 +131,7 @@ export const MAPS_CONFIG = {
       "id",
       "types",
       "regularOpeningHours",
+      "utcOffsetMinutes",
       "nationalPhoneNumber"
     ],
 
@@ -166,33 +140,48 @@ export const MAPS_CONFIG = {
      */
     radius: 8000,
 
+    /**
+     * Radius expansion for sparse (e.g. rural) results: larger radii are
+     * tried in order until a category has minResults places.
+     */
+    radiusExpansion: {
+      steps: [15000, 25000],
+      minResults: 3
+    },
+
     /**
      * Maximum number of results to return per category.
      */
     maxResultCount: 10,
 
+    /**
+     * Per-category search timeout in milliseconds.
+     */
+    categoryTimeoutMs: 8000,
+
     /**
      * Place type configurations for different animal services.
+     * Display names live in the locale catalogs (categories.<key>).
      */
     categories: {
       vets: {
         includedTypes: ["veterinary_care"],
-        icon: "medical",
-        label: "VETERINARY",
-        color: "$card-border"
+        osmSelectors: ['["amenity"="veterinary"]'],
+        icon: "fa-stethoscope",
+        color: "#ffffff"
       },
       shelters: {
         // Use text query since animal_shelter is not a supported type
         textQuery: "animal shelter",
-        icon: "home",
-        label: "SHELTER",
+        osmSelectors: ['["amenity"="animal_shelter"]["animal_shelter"!="wildlife"]'],
+        icon: "fa-house",
         color: "#6dd8b8ff"
       },
       rescue: {
         // Google doesn't have a specific type, so we'll use keyword search
         textQuery: "animal rescue organization",
-        icon: "paw",
-        label: "Rescue",
+        osmSelectors: ['["amenity"="animal_shelter"]["animal_shelter"="wildlife"]', '["animal_shelter:purpose"="rescue"]'],
+        icon: "fa-paw",
         color: "#ffa500"
       }
     },
@@ -203,6 +192,169 @@ export const MAPS_CONFIG = {
     rankPreference: "DISTANCE" // Will be mapped to google.maps.places.SearchNearbyRankPreference.DISTANCE
   },
 
+  /**
+   * Marker clustering (see utils/marker_clustering).
+   */
+  CLUSTERING: {
+    // Pixel radius within which markers are grouped
+    radiusPx: 60,
+    // Keep clustering up to max zoom so stacked markers stay tappable
+    maxClusterZoom: 20,
+    // From this zoom (or below spreadBelowMeters span) a tap spreads the cluster
+    spreadAtZoom: 16,
+    spreadBelowMeters: 30,
+    spreadRadiusPx: 36,
+    fitPadding: 60,
+    // Bubble appearance (the map theme overrides backgroundColor, see config/map_themes)
+    size: 44,
+    ringWidth: 5,
+    backgroundColor: "#0E5050",
+    fallbackColor: "#ffffff"
+  },
+
+  /**
+   * Places provider selection (see utils/places_providers).
+   * google uses the Places API, fixture reads a local JSON/GeoJSON file and
+   * overpass queries OpenStreetMap data via an Overpass-compatible endpoint.
+   * The fixture holds made-up demo places: it is only used when selected
+   * explicitly (PLACES_PROVIDER=fixture, ignored in production), never as a
+   * fallback.
+   */
+  PLACES_PROVIDERS: {
+    default: "google",
+    // Real provider used when the requested one is unavailable (e.g. no Google SDK)
+    fallback: "overpass",
+    fixtureUrl: "/fixtures/animal_services.geojson",
+    overpassUrl: "https://overpass-api.de/api/interpreter"
+  },
+
+  /**
+   * Map-free list mode (cards stacked vertically, no Maps SDK needed)
+   * Chosen with the list chip or used automatically when the map fails. The
+   * Google places provider needs a working SDK and key, so after a map
+   * failure searches use this provider; results cached from Google are
+   * still shown first.
+   */
+  LIST_MODE: {
+    placesProvider: "overpass"
+  },
+
+  /**
+   * Client-side cache of nearby search results (see utils/places_cache).
+   */
+  PLACES_CACHE: {
+    dbName: "ff-resq",
+    storeName: "nearby-places",
+    // ~1km cells: small moves reuse the same entry
+    cellDegrees: 0.01,
+    // Entries older than this are discarded
+    ttlMs: 24 * 60 * 60 * 1000,
+    // Entries older than this are shown, then refreshed in the background
+    refreshAfterMs: 10 * 60 * 1000
+  },
+
+  /**
+   * Extra Place fields loaded when a card is expanded (see utils/place_details)
+   * Kept out of ANIMAL_SERVICES_SEARCH.fields so the search stays cheap.
+   */
+  PLACE_DETAILS: {
+    fields: [
+      "websiteURI",
+      "currentOpeningHours",
+      "regularOpeningHours",
+      "editorialSummary",
+      "photos",
+      "accessibilityOptions"
+    ],
+    maxPhotos: 3,
+    photoMaxWidth: 320
+  },
+
+  /**
+   * 24/7 emergency mode on the vets page
+   */
+  EMERGENCY: {
+    // Categories searched in emergency mode
+    categories: ["vets"],
+    // Extra text searches merged into their category
+    extraQueries: [
+      { category: "vets", textQuery: "emergency vet" },
+      { category: "vets", textQuery: "24 hour animal hospital" }
+    ]
+  },
+
+  /**
+   * "Search this area" after panning the map
+   */
+  AREA_SEARCH: {
+    // Offer the button once the map center is this far from every searched center
+    minMoveMeters: 4000
+  },
+
+  /**
+   * Opt-in live location mode (watchPosition)
+   */
+  LIVE_TRACKING: {
+    // Ignore position updates smaller than this to avoid re-sorting on GPS jitter
+    minMoveMeters: 50,
+    enableHighAccuracy: true,
+    maximumAge: 10000,
+    timeout: 20000
+  },
+
+  /**
+   * Travel-time estimates shown on cards and used by the "Fastest" sort
+   * See utils/travel_times.js for the adapters. Without an available adapter
+   * no ETAs are shown and "Fastest" is hidden; the stub is only used when
+   * selected explicitly (TRAVEL_TIME_PROVIDER=stub, ignored in production).
+   */
+  TRAVEL_TIME: {
+    default: "google",
+    defaultMode: "driving",
+    // Distance Matrix allows 25 destinations per request
+    batchSize: 25,
+    // ~500m cells: results are reused while the user stays in the same cell
+    originCellDegrees: 0.005,
+    // Stub: roads are longer than the straight line
+    detourFactor: 1.3,
+    // Labels live in the locale catalogs (travel.modes.<mode>)
+    modes: {
+      driving: { icon: "fa-car", stubSpeedKmh: 35 },
+      walking: { icon: "fa-person-walking", stubSpeedKmh: 4.5 },
+      transit: { icon: "fa-bus", stubSpeedKmh: 18, stubExtraMinutes: 8 }
+    }
+  },
+
+  /**
+   * Address / postcode lookup for the location panel
+   * See utils/geocoding.js for the adapters.
+   */
+  GEOCODING: {
+    default: "google",
+    // No fallback: without the geocoder only coordinates and the current
+    // location work. The stub is only used when selected explicitly
+    // (GEOCODER=stub, ignored in production).
+    stubUrl: "/fixtures/geocoding.json",
+    maxResults: 5
+  },
+
+  /**
+   * Distance units (see formatDistanceLabel in utils/distance_utils.js)
+   * "auto" picks imperial for imperialRegions (region of the UI locale),
+   * metric everywhere else; the units chip overrides it.
+   */
+  DISTANCE_UNITS: {
+    default: "auto",
+    imperialRegions: ["US", "GB", "LR", "MM"],
+    systems: {
+      // Below `smallBelow` units, distances are shown in the small unit
+      metric: { unit: "kilometer", metersPerUnit: 1000, smallUnit: "meter", metersPerSmallUnit: 1, smallBelow: 1 },
+      imperial: { unit: "mile", metersPerUnit: 1609.344, smallUnit: "foot", metersPerSmallUnit: 0.3048, smallBelow: 0.1 }
+    },
+    // Short distances are rounded to this many metres / feet
+    smallStep: 10
+  },
+
   /**
    * Legacy VET_SEARCH config (kept for backwards compatibility).
    */
@@ -227,7 +379,12 @@ export const MAPS_CONFIG = {
    * Marker configuration.
    */
   MARKERS: {
-    userMarkerTitle: "You are here",
-    vetMarkerTitle: "Veterinary Care"
+    // Place pins (AdvancedMarkerElement): colors/icons come from the category
+    fallbackIcon: "fa-location-dot",
+    fallbackColor: "#ffffff",
+    // Classic SVG pins on maps without a Map ID (fill: category color; themes override, see MAP_THEMES pin)
+    legacyPin: { strokeColor: "#ffffff", strokeWidth: 2, activeColor: "#ffb347" },
+    activeZIndex: 1000,
+    bounceMs: 750
   }
 }
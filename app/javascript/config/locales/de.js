@@ -0,0 +1,233 @@
+// app/javascript/config/locales/de.js
+
+/**
+ * German UI messages (see utils/i18n.js).
+ * Keys missing here fall back to config/locales/en.js.
+ */
+export const DE_MESSAGES = {
+  categories: {
+    vets: {
+      name: "Tierärzte",
+      label: "Tierarzt",
+      plural: "Tierärzte",
+      count: { one: "%{count} Tierarzt", other: "%{count} Tierärzte" }
+    },
+    shelters: {
+      name: "Tierheime",
+      label: "Tierheim",
+      plural: "Tierheime",
+      count: { one: "%{count} Tierheim", other: "%{count} Tierheime" }
+    },
+    rescue: {
+      name: "Auffangstationen",
+      label: "Auffangstation",
+      plural: "Auffangstationen",
+      count: { one: "%{count} Auffangstation", other: "%{count} Auffangstationen" }
+    },
+    other: {
+      name: "Sonstige",
+      label: "Tierhilfe",
+      plural: "Tierhilfen",
+      count: { one: "%{count} Tierhilfe", other: "%{count} Tierhilfen" }
+    }
+  },
+
+  species: {
+    hedgehog: "Igel",
+    bird: "Vögel",
+    wildlife: "Wildtiere",
+    exotic: "Exoten",
+    dog: "Hunde",
+    cat: "Katzen"
+  },
+
+  openingHours: {
+    alwaysOpen: "24/7 geöffnet",
+    openClosesAt: "Geöffnet · schließt %{time}",
+    closedOpensAt: "Geschlossen · öffnet %{time}",
+    dayAndTime: "%{day} %{time}",
+    closed: "Geschlossen"
+  },
+
+  travel: {
+    modes: {
+      driving: "Auto",
+      walking: "Zu Fuß",
+      transit: "ÖPNV"
+    },
+    toggleLabel: "Verkehrsmittel: %{mode}",
+    estimated: "~%{duration}",
+    estimatedTitle: "%{mode}: grobe Schätzung aus der Luftlinie, keine Route",
+    minutes: "%{minutes} Min.",
+    hours: "%{hours} Std.",
+    hoursMinutes: "%{hours} Std. %{minutes} Min."
+  },
+
+  units: {
+    metric: "km",
+    imperial: "mi",
+    auto: "Auto (%{units})",
+    toggleLabel: "Entfernungseinheit: %{units}"
+  },
+
+  cards: {
+    roleDescription: "Ort",
+    noRating: "Keine Bewertung",
+    noAddress: "Adresse nicht verfügbar",
+    callNow: "Jetzt anrufen",
+    expand: "Aufklappen",
+    expandCard: "Karte aufklappen",
+    distance: "Entfernung",
+    distanceLabel: "Entfernung: %{distance}",
+    distanceAway: "%{distance} entfernt",
+    today: "Heute",
+    nearest: "Am nächsten",
+    saved: "gespeichert",
+    savePlace: "Ort speichern",
+    unsavePlace: "Aus gespeicherten Orten entfernen",
+    navigate: "Route",
+    aiAppointment: "KI-Termin",
+    share: "Teilen",
+    saveContact: "Kontakt speichern",
+    copied: "In die Zwischenablage kopiert",
+    shareFailed: "Teilen nicht möglich",
+    goodFitFor: "Gut geeignet für %{species}",
+    photoOf: "Foto von %{name}",
+    wheelchairAccessible: "Rollstuhlgerechter Eingang",
+    notWheelchairAccessible: "Kein rollstuhlgerechter Eingang",
+    thisWeek: "Diese Woche",
+    thisWeekSpecial: "Diese Woche · geänderte Öffnungszeiten"
+  },
+
+  sharing: {
+    fallbackName: "Tierhilfe"
+  },
+
+  map: {
+    userMarker: "Du bist hier",
+    themes: {
+      dark: "Dunkel",
+      light: "Hell",
+      highContrast: "Hoher Kontrast"
+    },
+    themeAuto: "Auto (%{theme})",
+    themeToggleLabel: "Kartendesign: %{theme}",
+    unavailable: "Karte nicht verfügbar · Liste wird angezeigt · Erneut versuchen"
+  },
+
+  search: {
+    loading: "%{category} werden geladen…",
+    unavailable: "%{category} nicht verfügbar · Erneut versuchen",
+    noneWithin: "Keine %{category} im Umkreis von %{radius}",
+    noneWithinExpanded: "Keine %{category} im Umkreis von %{baseRadius} – Ergebnisse bis %{radius}",
+    onlyWithinExpanded: "Nur %{found} im Umkreis von %{baseRadius} – Ergebnisse bis %{radius}"
+  },
+
+  filters: {
+    all: "Alle",
+    saved: "Gespeichert",
+    chipLabel: "%{name} (%{count})"
+  },
+
+  list: {
+    position: "%{place}, %{index} von %{total}"
+  },
+
+  // Static texts of the vets page (data-i18n in app/views/vets/index.html.erb)
+  page: {
+    loading: "Tierärzte werden gesucht",
+    back: "Zurück",
+    emergency: "Notfall 24/7",
+    openNow: "Jetzt geöffnet",
+    changeLocation: "Standort ändern",
+    live: "Live",
+    list: "Liste",
+    fastest: "Am schnellsten",
+    searchThisArea: "In diesem Bereich suchen",
+    filterByCategory: "Nach Kategorie filtern",
+    nearbyPlaces: "Orte in der Nähe"
+  },
+
+  location: {
+    title: "Wo ist das Tier?",
+    close: "Schließen",
+    inputPlaceholder: "Adresse oder Postleitzahl",
+    submit: "Suchen",
+    useCurrent: "Meinen aktuellen Standort verwenden",
+    recent: "Zuletzt verwendet",
+    hint: "Gib eine Adresse oder Postleitzahl ein oder zieh den Fuchs auf der Karte.",
+    geolocationFailed: "Wir konnten deinen Standort nicht ermitteln. Gib die Adresse oder Postleitzahl ein, wo das Tier ist.",
+    searching: "Suche läuft…",
+    noMatch: "Kein Treffer für „%{query}“. Versuch es mit einer Postleitzahl oder Straße und Ort.",
+    pickResult: "Wähle den richtigen Ort:",
+    searchFailed: "Adresssuche fehlgeschlagen. Prüfe deine Verbindung und versuch es erneut.",
+    stillUnavailable: "Der Standortzugriff ist weiterhin nicht verfügbar. Bitte gib stattdessen eine Adresse ein."
+  },
+
+  errors: {
+    enterAddress: "Adresse eingeben",
+    mapsUnavailable: {
+      title: "Die Karte konnte nicht geladen werden",
+      text: "Google Maps hat nicht geantwortet. Das kann an einem Werbe- oder Inhaltsblocker oder einer schwachen Verbindung liegen.",
+      retry: "Erneut versuchen"
+    },
+    invalidKey: {
+      title: "Die Karte ist nicht richtig eingerichtet",
+      text: "Google hat den Maps-API-Schlüssel dieser Seite abgelehnt, daher können keine Karte und keine Orte angezeigt werden. Bitte gib uns Bescheid.",
+      retry: "Neu laden"
+    },
+    permissionDenied: {
+      title: "Der Standortzugriff ist blockiert",
+      text: "Erlaube den Standortzugriff für diese Seite in den Browsereinstellungen oder gib die Adresse ein, wo das Tier ist.",
+      retry: "Erneut versuchen"
+    },
+    offline: {
+      title: "Du bist offline",
+      text: "Wir suchen erneut, sobald die Verbindung wieder da ist.",
+      retry: "Erneut versuchen"
+    },
+    placesUnavailable: {
+      title: "Die Ortssuche ist nicht verfügbar",
+      text: "Gerade ist kein Ortsdienst erreichbar, daher können keine Tierhilfen in der Nähe angezeigt werden. Bitte versuch es gleich noch einmal.",
+      retry: "Erneut versuchen"
+    },
+    geocoderUnavailable: {
+      title: "Die Adresssuche ist nicht verfügbar",
+      text: "Die Adresssuche ist gerade nicht verfügbar. Gib Koordinaten ein (z. B. 51.19, 6.44) oder verwende deinen aktuellen Standort.",
+      retry: "Meinen Standort verwenden"
+    },
+    quota: {
+      title: "Gerade zu viele Suchanfragen",
+      text: "Der Ortsdienst ist ausgelastet. Bitte warte eine Minute und versuch es dann erneut.",
+      retry: "Erneut versuchen"
+    },
+    zeroResults: {
+      title: "Keine Tierhilfe in der Nähe gefunden",
+      text: "Rund um diesen Ort wurde nichts gefunden, auch nicht im größeren Umkreis. Versuch eine andere Adresse oder such erneut.",
+      retry: "Erneut suchen"
+    },
+    unknown: {
+      title: "Etwas ist schiefgelaufen",
+      text: "Die Suche konnte nicht abgeschlossen werden.",
+      retry: "Erneut versuchen"
+    }
+  },
+
+  intake: {
+    descriptionTooShort: "Bitte beschreibe die Situation etwas genauer."
+  },
+
+  appointment: {
+    noIntake: "Kein Fall gefunden. Bitte lege zuerst einen Fall an.",
+    callingWait: "Die KI ruft die Praxis an... (ca. 60 Sekunden)",
+    calling: "Die KI ruft die Praxis an...",
+    agentCalling: "Der KI-Agent ruft die Praxis an...",
+    error: "Fehler: %{error}",
+    failed: "Anruf konnte nicht gestartet werden. Bitte versuch es erneut.",
+    cancelled: "Der Termin wurde abgesagt.",
+    confirmed: "✅ Termin bestätigt!",
+    vetResponse: "Antwort der Praxis:",
+    confirmedFallback: "Termin bestätigt",
+    devNotes: "Das Tier kann morgen um 14 Uhr kommen, die Kosten betragen 50 Dollar."
+  }
+}
@@ -0,0 +1,234 @@
+// app/javascript/config/locales/en.js
+
+/**
+ * English UI messages (see utils/i18n.js).
+ * Also the fallback for keys missing in other catalogs.
+ */
+export const EN_MESSAGES = {
+  categories: {
+    vets: {
+      name: "Vets",
+      label: "Veterinary",
+      plural: "vets",
+      count: { one: "%{count} vet", other: "%{count} vets" }
+    },
+    shelters: {
+      name: "Shelters",
+      label: "Shelter",
+      plural: "shelters",
+      count: { one: "%{count} shelter", other: "%{count} shelters" }
+    },
+    rescue: {
+      name: "Rescues",
+      label: "Rescue",
+      plural: "rescues",
+      count: { one: "%{count} rescue", other: "%{count} rescues" }
+    },
+    other: {
+      name: "Other",
+      label: "Animal service",
+      plural: "animal services",
+      count: { one: "%{count} animal service", other: "%{count} animal services" }
+    }
+  },
+
+  // Species profiles (config/species_config.js), used in "Good fit for …"
+  species: {
+    hedgehog: "hedgehogs",
+    bird: "birds",
+    wildlife: "wildlife",
+    exotic: "exotic animals",
+    dog: "dogs",
+    cat: "cats"
+  },
+
+  openingHours: {
+    alwaysOpen: "Open 24/7",
+    openClosesAt: "Open · closes %{time}",
+    closedOpensAt: "Closed · opens %{time}",
+    dayAndTime: "%{day} %{time}",
+    closed: "Closed"
+  },
+
+  travel: {
+    modes: {
+      driving: "Drive",
+      walking: "Walk",
+      transit: "Transit"
+    },
+    toggleLabel: "Travel mode: %{mode}",
+    estimated: "~%{duration}",
+    estimatedTitle: "%{mode}: rough estimate from the straight-line distance, not a route",
+    minutes: "%{minutes} min",
+    hours: "%{hours} h",
+    hoursMinutes: "%{hours} h %{minutes} min"
+  },
+
+  units: {
+    metric: "km",
+    imperial: "mi",
+    auto: "Auto (%{units})",
+    toggleLabel: "Distance units: %{units}"
+  },
+
+  cards: {
+    roleDescription: "place",
+    noRating: "No rating",
+    noAddress: "Address not available",
+    callNow: "Call now",
+    expand: "Expand",
+    expandCard: "Expand card",
+    distance: "Distance",
+    distanceLabel: "Distance: %{distance}",
+    distanceAway: "%{distance} away",
+    today: "Today",
+    nearest: "Nearest",
+    saved: "saved",
+    savePlace: "Save place",
+    unsavePlace: "Remove from saved places",
+    navigate: "Navigate",
+    aiAppointment: "AI-Appointment",
+    share: "Share",
+    saveContact: "Save contact",
+    copied: "Copied to clipboard",
+    shareFailed: "Could not share",
+    goodFitFor: "Good fit for %{species}",
+    photoOf: "Photo of %{name}",
+    wheelchairAccessible: "Wheelchair-accessible entrance",
+    notWheelchairAccessible: "No wheelchair-accessible entrance",
+    thisWeek: "This week",
+    thisWeekSpecial: "This week · special hours"
+  },
+
+  sharing: {
+    fallbackName: "Animal service"
+  },
+
+  map: {
+    userMarker: "You are here",
+    themes: {
+      dark: "Dark",
+      light: "Light",
+      highContrast: "High contrast"
+    },
+    themeAuto: "Auto (%{theme})",
+    themeToggleLabel: "Map theme: %{theme}",
+    unavailable: "Map unavailable · showing the list · Retry"
+  },
+
+  search: {
+    loading: "Loading %{category}…",
+    unavailable: "%{category} unavailable · Retry",
+    noneWithin: "No %{category} within %{radius}",
+    noneWithinExpanded: "No %{category} within %{baseRadius} — showing results up to %{radius}",
+    onlyWithinExpanded: "Only %{found} within %{baseRadius} — showing results up to %{radius}"
+  },
+
+  filters: {
+    all: "All",
+    saved: "Saved",
+    chipLabel: "%{name} (%{count})"
+  },
+
+  list: {
+    position: "%{place}, %{index} of %{total}"
+  },
+
+  // Static texts of the vets page (data-i18n in app/views/vets/index.html.erb)
+  page: {
+    loading: "Finding vets",
+    back: "Back",
+    emergency: "Emergency 24/7",
+    openNow: "Open now",
+    changeLocation: "Change location",
+    live: "Live",
+    list: "List",
+    fastest: "Fastest",
+    searchThisArea: "Search this area",
+    filterByCategory: "Filter by category",
+    nearbyPlaces: "Nearby places"
+  },
+
+  location: {
+    title: "Where is the animal?",
+    close: "Close",
+    inputPlaceholder: "Address or postcode",
+    submit: "Search",
+    useCurrent: "Use my current location",
+    recent: "Recent",
+    hint: "Enter an address or postcode, or drag the fox on the map.",
+    geolocationFailed: "We couldn't get your location. Enter an address or postcode where the animal is.",
+    searching: "Searching…",
+    noMatch: "No match for \"%{query}\". Try a postcode or a street and town.",
+    pickResult: "Pick the right place:",
+    searchFailed: "Address search failed. Check your connection and try again.",
+    stillUnavailable: "Location access is still unavailable. Please enter an address instead."
+  },
+
+  errors: {
+    enterAddress: "Enter an address",
+    mapsUnavailable: {
+      title: "The map could not be loaded",
+      text: "Google Maps did not respond. An ad or content blocker or a weak connection can cause this.",
+      retry: "Try again"
+    },
+    invalidKey: {
+      title: "The map is not set up correctly",
+      text: "Google rejected this site's Maps API key, so no map or places can be shown. Please let us know.",
+      retry: "Reload"
+    },
+    permissionDenied: {
+      title: "Location access is blocked",
+      text: "Allow location access for this site in your browser settings, or enter the address where the animal is.",
+      retry: "Try again"
+    },
+    offline: {
+      title: "You are offline",
+      text: "We'll search again as soon as your connection is back.",
+      retry: "Try again"
+    },
+    placesUnavailable: {
+      title: "Places search is unavailable",
+      text: "No places service can be reached right now, so nearby animal services can't be listed. Please try again shortly.",
+      retry: "Try again"
+    },
+    geocoderUnavailable: {
+      title: "Address search is unavailable",
+      text: "Address search is unavailable right now. Enter coordinates (e.g. 51.19, 6.44) or use your current location.",
+      retry: "Use my location"
+    },
+    quota: {
+      title: "Too many searches right now",
+      text: "The places service is busy. Please wait a minute and try again.",
+      retry: "Try again"
+    },
+    zeroResults: {
+      title: "No animal services found nearby",
+      text: "Nothing turned up around this location, even in a wider radius. Try another address or search again.",
+      retry: "Search again"
+    },
+    unknown: {
+      title: "Something went wrong",
+      text: "The search could not be completed.",
+      retry: "Try again"
+    }
+  },
+
+  intake: {
+    descriptionTooShort: "Please provide more details."
+  },
+
+  appointment: {
+    noIntake: "No intake found. Please create an intake first.",
+    callingWait: "AI is calling the vet... (wait approx. 60 seconds)",
+    calling: "AI is calling the vet...",
+    agentCalling: "AI agent is calling the vet...",
+    error: "Error: %{error}",
+    failed: "Failed to initiate call. Please try again.",
+    cancelled: "Appointment was cancelled.",
+    confirmed: "✅ Appointment confirmed!",
+    vetResponse: "Vet's Response:",
+    confirmedFallback: "Appointment confirmed",
+    devNotes: "The animal can come tomorrow at 2pm, cost is 50 dollars."
+  }
+}
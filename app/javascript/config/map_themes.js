@@ -0,0 +1,76 @@
+// app/javascript/config/map_themes.js
+
+import { MAP_STYLES } from "config/google_maps_config"
+
+/**
+ * Map theme registry (see utils/map_theme.js).
+ *
+ * Theme fields:
+ * - icon:          shown on the theme chip (label: map.themes.<name> in the locale catalogs)
+ * - styles:        inline google.maps.MapTypeStyle[] of maps without a Map ID,
+ *                  switched live with map.setOptions
+ * - colorScheme:   google.maps.ColorScheme of maps with a Map ID; picks the
+ *                  light or dark variant of the cloud style when the map is created
+ * - pin:           outline and active color of classic place pins (maps without a Map ID)
+ * - cluster:       cluster bubble colors
+ *
+ * Advanced place pins (maps with a Map ID) follow the theme through CSS
+ * (`data-map-theme` on the vets page).
+ */
+export const MAP_THEMES = {
+  dark: {
+    icon: "fa-moon",
+    styles: MAP_STYLES,
+    colorScheme: "DARK",
+    pin: { strokeColor: "#ffffff", strokeWidth: 2, activeColor: "#ffb347" },
+    cluster: { backgroundColor: "#0E5050", labelColor: "#ffffff" }
+  },
+
+  light: {
+    icon: "fa-sun",
+    styles: [
+      { elementType: "geometry", stylers: [{ color: "#f4f6f2" }] },
+      { elementType: "labels.text.fill", stylers: [{ color: "#2c2c29" }] },
+      { elementType: "labels.text.stroke", stylers: [{ color: "#ffffff" }] },
+      { featureType: "water", stylers: [{ color: "#9ed4ef" }] },
+      { featureType: "poi", stylers: [{ visibility: "off" }] },
+      { featureType: "landscape", stylers: [{ color: "#e6efe9" }] },
+      { featureType: "road", elementType: "geometry", stylers: [{ color: "#ffffff" }] },
+      { featureType: "road", elementType: "labels.text.fill", stylers: [{ color: "#4a4a46" }] },
+      { featureType: "transit", stylers: [{ visibility: "off" }] },
+      { featureType: "administrative", stylers: [{ visibility: "off" }] }
+    ],
+    colorScheme: "LIGHT",
+    pin: { strokeColor: "#1a1a1a", strokeWidth: 2, activeColor: "#ffb347" },
+    cluster: { backgroundColor: "#ffffff", labelColor: "#1a1a1a" }
+  },
+
+  // Black on white with heavy roads: readable in direct sunlight
+  highContrast: {
+    icon: "fa-circle-half-stroke",
+    styles: [
+      { elementType: "geometry", stylers: [{ color: "#ffffff" }] },
+      { elementType: "labels.text.fill", stylers: [{ color: "#000000" }] },
+      { elementType: "labels.text.stroke", stylers: [{ color: "#ffffff" }, { weight: 4 }] },
+      { featureType: "water", stylers: [{ color: "#0050b3" }] },
+      { featureType: "water", elementType: "labels.text.fill", stylers: [{ color: "#ffffff" }] },
+      { featureType: "water", elementType: "labels.text.stroke", stylers: [{ color: "#0050b3" }] },
+      { featureType: "poi", stylers: [{ visibility: "off" }] },
+      { featureType: "landscape", stylers: [{ color: "#ffffff" }] },
+      { featureType: "road", elementType: "geometry", stylers: [{ color: "#000000" }] },
+      { featureType: "road", elementType: "labels.text.fill", stylers: [{ color: "#000000" }] },
+      { featureType: "road", elementType: "labels.text.stroke", stylers: [{ color: "#ffffff" }, { weight: 4 }] },
+      { featureType: "transit", stylers: [{ visibility: "off" }] },
+      { featureType: "administrative", stylers: [{ visibility: "off" }] }
+    ],
+    colorScheme: "LIGHT",
+    pin: { strokeColor: "#000000", strokeWidth: 3, activeColor: "#ffd700" },
+    cluster: { backgroundColor: "#000000", labelColor: "#ffffff" }
+  }
+}
+
+/**
+ * Order of the theme chip: "system" follows prefers-color-scheme / prefers-contrast.
+ * @type {string[]}
+ */
+export const THEME_PREFERENCES = ["system", "light", "dark", "highContrast"]
@@ -0,0 +1,82 @@
+// app/javascript/config/species_config.js
+
+/**
+ * Species-aware ranking configuration.
+ * Maps the free-text intake species to a profile that tunes the vets page:
+ * which categories matter most and which extra text searches to run.
+ *
+ * Profile fields:
+ * - aliases:         word prefixes matched against the intake species (EN + DE)
+ * - categoryWeights: >1 pulls a category up the list, <1 pushes it down
+ * - keywords:        name/type prefixes that mark a place as a specialist
+ * - extraQueries:    extra text searches, merged into the given category
+ *
+ * The "Good fit for …" card reason names the profile via the locale
+ * catalogs (species.<profile key>).
+ */
+export const SPECIES_CONFIG = {
+  /**
+   * Weight applied on top of the category weight for keyword/extra-query matches.
+   * @type {number}
+   */
+  keywordBoost: 1.5,
+
+  /**
+   * Specialists (keyword or extra-query matches) at or above this weight get
+   * the "Good fit for …" reason.
+   * @type {number}
+   */
+  reasonMinWeight: 1.5,
+
+  /**
+   * Profiles, checked in order; the first alias match wins.
+   */
+  profiles: {
+    hedgehog: {
+      aliases: ["hedgehog", "igel"],
+      categoryWeights: { vets: 1, shelters: 0.5, rescue: 2 },
+      keywords: ["hedgehog", "igel", "wildlife", "wildtier"],
+      extraQueries: [
+        { category: "rescue", textQuery: "wildlife rescue" },
+        { category: "rescue", textQuery: "hedgehog rescue" }
+      ]
+    },
+    bird: {
+      aliases: ["bird", "pigeon", "dove", "sparrow", "crow", "swift", "owl", "vogel", "vögel", "taube", "spatz", "krähe", "mauersegler", "eule"],
+      categoryWeights: { vets: 1, shelters: 0.5, rescue: 2 },
+      keywords: ["bird", "avian", "vogel", "vögel", "tauben", "pigeon", "wildlife", "wildtier"],
+      extraQueries: [
+        { category: "rescue", textQuery: "bird sanctuary" },
+        { category: "rescue", textQuery: "wild bird rescue" }
+      ]
+    },
+    wildlife: {
+      aliases: ["fox", "deer", "squirrel", "bat", "badger", "wildlife", "fuchs", "reh", "eichhörnchen", "fledermaus", "dachs", "wildtier"],
+      categoryWeights: { vets: 1, shelters: 0.5, rescue: 2 },
+      keywords: ["wildlife", "wildtier", "wild animal"],
+      extraQueries: [
+        { category: "rescue", textQuery: "wildlife rescue" }
+      ]
+    },
+    exotic: {
+      aliases: ["reptile", "snake", "lizard", "turtle", "tortoise", "parrot", "ferret", "reptil", "schlange", "echse", "schildkröte", "papagei", "frettchen"],
+      categoryWeights: { vets: 1.5, shelters: 0.7, rescue: 1 },
+      keywords: ["exotic", "exoten", "reptil", "avian", "vogel"],
+      extraQueries: [
+        { category: "vets", textQuery: "exotic vet" }
+      ]
+    },
+    dog: {
+      aliases: ["dog", "puppy", "hund", "welpe"],
+      categoryWeights: { vets: 1.2, shelters: 1, rescue: 0.8 },
+      keywords: ["dog", "hund"],
+      extraQueries: []
+    },
+    cat: {
+      aliases: ["cat", "kitten", "katze", "kater", "kätzchen"],
+      categoryWeights: { vets: 1.2, shelters: 1, rescue: 0.8 },
+      keywords: ["cat", "katze", "katzen"],
+      extraQueries: []
+    }
+  }
+}
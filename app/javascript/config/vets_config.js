@@ -52,20 +52,9 @@ export const SVG_ICONS = {
 
 /**
  * Configuration for veterinary location display.
+ * Texts live in the locale catalogs (config/locales).
  */
 export const VET_DISPLAY_CONFIG = {
-  /**
-   * Default text when rating is unavailable.
-   * @type {string}
-   */
-  noRatingText: "No rating",
-
-  /**
-   * Default text when address is unavailable.
-   * @type {string}
-   */
-  noAddressText: "Address not available",
-
   /**
    * Star emoji for rating display.
    * @type {string}
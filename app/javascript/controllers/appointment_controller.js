@@ -1,5 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
 import { simulateDevAppointment } from "utils/appointment_dev_helpers"
+import { t } from "utils/i18n"
 
 /**
  * AppointmentController
@@ -58,7 +59,7 @@ export default class extends Controller {
     const isProd = document.querySelector('meta[name="rails-env"]')?.content === 'production'
 
     if (!this.intakeIdValue && isProd) {
-      alert("No intake found. Please create an intake first.")
+      alert(t("appointment.noIntake"))
       return
     }
 
@@ -69,7 +70,7 @@ export default class extends Controller {
 
     // Show calling state (both dev/prod)
     if (statusElement) {
-      statusElement.textContent = "AI is calling the vet... (wait approx. 60 seconds)"
+      statusElement.textContent = t("appointment.callingWait")
       statusElement.classList.remove('success')
       statusElement.classList.add('calling')
       statusElement.classList.remove('hidden')
@@ -87,7 +88,7 @@ export default class extends Controller {
     // Get the clicked button (could be multiple buttons on page)
     // Disable button and show loading state
     clickedButton.disabled = true
-    if (statusElement) statusElement.textContent = "AI is calling the vet..."
+    if (statusElement) statusElement.textContent = t("appointment.calling")
     if (notesElement) notesElement.classList.add('hidden')
 
     try {
@@ -109,15 +110,15 @@ export default class extends Controller {
         this.currentButton = clickedButton
         this.currentStatus = statusElement
         this.currentNotes = notesElement
-        if (statusElement) statusElement.textContent = "AI agent is calling the vet..."
+        if (statusElement) statusElement.textContent = t("appointment.agentCalling")
         this.startPolling()
       } else {
-        if (statusElement) statusElement.textContent = `Error: ${data.error}`
+        if (statusElement) statusElement.textContent = t("appointment.error", { error: data.error })
         clickedButton.disabled = false
       }
     } catch (error) {
       console.error("Failed to create appointment:", error)
-      if (statusElement) statusElement.textContent = "Failed to initiate call. Please try again."
+      if (statusElement) statusElement.textContent = t("appointment.failed")
       clickedButton.disabled = false
     }
   }
@@ -171,7 +172,7 @@ export default class extends Controller {
         this.stopPolling()
       } else if (data.status === "cancelled") {
         if (this.currentStatus) {
-          this.currentStatus.textContent = "Appointment was cancelled."
+          this.currentStatus.textContent = t("appointment.cancelled")
           this.currentStatus.classList.remove('calling')
           this.currentStatus.classList.remove('hidden')
         }
@@ -199,13 +200,13 @@ export default class extends Controller {
   showAppointmentResponse(data) {
     if (!this.currentNotes || !this.currentStatus || !this.currentButton) return
 
-    this.currentStatus.textContent = "✅ Appointment confirmed!"
+    this.currentStatus.textContent = t("appointment.confirmed")
     this.currentStatus.classList.add('success')
     this.currentStatus.classList.remove('calling', 'hidden')
 
     this.currentNotes.innerHTML = `
-      <p><strong>Vet's Response:</strong></p>
-      <p>${data.notes || "Appointment confirmed"} €</p>
+      <p><strong>${t("appointment.vetResponse")}</strong></p>
+      <p>${data.notes || t("appointment.confirmedFallback")} €</p>
     `
     this.currentNotes.classList.remove('hidden')
 
@@ -2,20 +2,68 @@
 
 import { Controller } from "@hotwired/stimulus"
 import {
-  waitForGoogleMaps,
   getUserLocation,
+  watchUserLocation,
   createMap,
   createUserMarker,
   createVetMarker,
+  setVetMarkerTitle,
+  setVetMarkerActive,
+  setVetMarkerPinStyle,
+  bounceMarker,
   searchAllAnimalServices
 } from "utils/google_maps_utils"
-import { distanceInMeters } from "utils/distance_utils"
+import {
+  distanceInMeters,
+  formatRadiusLabel,
+  formatDistanceLabel,
+  loadUnitPreference,
+  saveUnitPreference,
+  nextUnitPreference,
+  resolveUnitSystem
+} from "utils/distance_utils"
+import { t, localizeElements } from "utils/i18n"
+import { loadGoogleMaps, onGoogleMapsAuthFailure } from "utils/google_maps_loader"
+import { classifyError, ERROR_PANELS, GeocoderUnavailableError, NoResultsError } from "utils/vets_errors"
+import { buildPlacesCacheKey, readCachedPlaces, writeCachedPlaces } from "utils/places_cache"
+import { createPlacesClusterer } from "utils/marker_clustering"
+import { isOpenNow, isAlwaysOpen, isClosedNow } from "utils/opening_hours"
+import { geocodeAddress } from "utils/geocoding"
+import { loadRecentLocations, saveRecentLocation } from "utils/recent_locations"
+import { loadSavedPlaces, savePlace, removeSavedPlace } from "utils/saved_places"
+import { loadPlaceDetails } from "utils/place_details"
+import { readVetsUrlState, writeVetsUrlState } from "utils/url_state"
+import { createTravelTimeService } from "utils/travel_times"
+import { resolveSpeciesProfile, speciesFitReason, bySpeciesFit } from "utils/species_ranking"
 import {
   createHorizontalLocationCard,
   setCardActive,
-  setCardExpanded
+  setCardExpanded,
+  setCardSaved,
+  updateCardMeta,
+  describePlace,
+  buildTravelTimeBadge
 } from "utils/location_card_horizontal"
-import { getVetMarkerIcon, getActiveVetMarkerIcon } from "config/google_maps_config"
+import { escapeHtml } from "utils/vet_card_utils"
+import {
+  loadThemePreference,
+  saveThemePreference,
+  nextThemePreference,
+  resolveThemeName,
+  watchSystemTheme,
+  mapThemeOptions,
+  applyMapTheme
+} from "utils/map_theme"
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { MAP_THEMES } from "config/map_themes"
+
+// Sort comparator: nearest first, places without distance last
+const byDistance = (a, b) => (a.distanceMeters || Infinity) - (b.distanceMeters || Infinity)
+// Whether two optional locations are the same spot (both missing counts as same)
+const isSameLocation = (a, b) => (!a && !b) || Boolean(a && b && distanceInMeters(a, b) < 1)
+// Sort comparator: shortest travel time first, unknown ETAs last (by distance)
+const byTravelTime = (a, b) =>
+  ((a.travelTime?.durationSeconds ?? Infinity) - (b.travelTime?.durationSeconds ?? Infinity)) || byDistance(a, b)
 
 /**
  * NearbyVetsController
@@ -25,6 +73,7 @@ import { getVetMarkerIcon, getActiveVetMarkerIcon } from "config/google_maps_con
  * - fetches vets/shelters/rescue places and shows markers + cards
  * - syncs horizontal card selection with active markers and map bounds
  * - manages category filtering and basic UX (hover, scroll sync)
+ * - falls back to a map-free list when the Maps SDK is unavailable
  */
 export default class extends Controller {
   /**
@@ -34,6 +83,25 @@ export default class extends Controller {
   static targets = [
     "map",
     "horizontalList",
+    "announcer",
+    "searchStatus",
+    "openNowToggle",
+    "liveToggle",
+    "travelModeToggle",
+    "unitsToggle",
+    "fastestToggle",
+    "emergencyToggle",
+    "themeToggle",
+    "listViewToggle",
+    "searchAreaButton",
+    "filterOverlay",
+    "filterBar",
+    "locationPanel",
+    "locationHint",
+    "locationInput",
+    "locationResults",
+    "recentLocations",
+    "errorPanel"
   ]
 
   /**
@@ -41,10 +109,22 @@ export default class extends Controller {
    * @type {Object}
    * @property {number} intakeId - Active intake ID (enables appointment features)
    * @property {string} userMarkerIcon - Custom icon URL for user location marker
+   * @property {string} placesProvider - Places provider name (google | fixture | overpass)
+   * @property {string} geocoder - Geocoding adapter name (google | stub)
+   * @property {string} travelTimeProvider - Travel-time adapter name (google | stub)
+   * @property {string} mapsApiKey - Maps JS API key (see utils/google_maps_loader)
+   * @property {string} species - Intake species (drives species-aware ranking)
+   * @property {string} mapId - Google Map ID with the cloud style (optional; without it classic pins and MAP_STYLES are used)
    */
   static values = {
     intakeId: Number,
-    userMarkerIcon: String
+    userMarkerIcon: String,
+    placesProvider: { type: String, default: 'google' },
+    geocoder: { type: String, default: 'google' },
+    travelTimeProvider: { type: String, default: 'google' },
+    mapsApiKey: String,
+    species: String,
+    mapId: String
   }
 
   /**
@@ -53,13 +133,51 @@ export default class extends Controller {
   initialize() {
     this.allPlaces = []
     this.markers = new Map() // Map of place.id -> marker instances
-    this.activeCategory = 'all'
+    this.markerPlaces = new WeakMap() // marker instance -> place
+    this.clusterer = null
+    this.activeCategories = new Set() // empty = all categories
+    this.savedPlaces = new Map() // place.id -> plain saved place (see utils/saved_places)
+    this.savedOnly = false
     this.activeCard = null
     this.activePlaceId = null
     this.handleHorizontalScroll = null
     this.scrollRaf = null
     this.userLocation = null
     this.infoWindow = null
+    this.searchCenter = null
+    this.searchCacheKey = null
+    this.failedCategories = new Set()
+    this.openNowOnly = false
+    this.emergencyMode = false
+    this.openStateTimer = null
+    this.userMarker = null
+    this.searchGeneration = 0
+    this.liveTracking = false
+    this.stopWatchingLocation = null
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this)
+    this.travelTimeService = null
+    this.travelMode = MAPS_CONFIG.TRAVEL_TIME.defaultMode
+    this.travelTimes = new Map() // place.id -> { durationSeconds, distanceMeters }
+    this.travelTimesKey = null
+    this.sortMode = 'distance' // distance | fastest
+    this.speciesProfile = null
+    this.searchedCenters = [] // centers already searched; "Search this area" hides near them
+    this.searchMerge = false
+    this.manualLocation = null // location picked in the panel or by dragging (null = geolocation)
+    this.areaCenter = null // center of the last "Search this area"
+    this.pendingSelection = null // { placeId, expanded } from the URL, applied once the place shows up
+    this.restorationId = null
+    this.handlePopState = this.handlePopState.bind(this)
+    this.themePreference = 'system' // "system" or a key of MAP_THEMES
+    this.themeName = 'dark'
+    this.stopWatchingTheme = null
+    this.currentError = null // VetsPageError shown in the error panel
+    this.handleOnline = this.handleOnline.bind(this)
+    this.handleOffline = this.handleOffline.bind(this)
+    this.stopWatchingMapsAuth = null
+    this.listView = false // list chosen with the chip or the URL
+    this.mapsError = null // VetsPageError while the map can't be used (forces the list)
+    this.overlayObserver = null // ResizeObserver behind --vets-overlay-bottom
   }
 
   /**
@@ -71,376 +189,1279 @@ export default class extends Controller {
   async connect() {
     console.log("[nearby-vets] connected")
     console.log("[nearby-vets] intakeId:", this.intakeIdValue)
+    this.speciesProfile = resolveSpeciesProfile(this.speciesValue)
+    this.savedPlaces = new Map(loadSavedPlaces().map(place => [String(place.id), place]))
 
-    // Wait for Google Maps API to load
-    await waitForGoogleMaps()
-    this.initMap()
-  }
+    // Static page texts come from the locale catalogs like everything else
+    localizeElements(this.element)
 
-  /**
-   * Checks if user has an active intake
-   * Used to determine if appointment features should be enabled
-   * @returns {boolean} True if user has a valid intake ID
-   */
-  get hasIntake() {
-    return this.hasIntakeIdValue && this.intakeIdValue > 0
-  }
+    // Theme: saved choice or the OS preference, followed live while on "system"
+    this.themePreference = loadThemePreference()
+    this.applyTheme()
+    this.stopWatchingTheme = watchSystemTheme(() => {
+      if (this.themePreference === 'system') this.applyTheme()
+    })
 
-  /**
-   * Initializes the Google Map with user location and nearby animal services
-   *
-   * @async
-   * @returns {Promise<void>}
-   * @throws {Error} If geolocation fails or API request fails
-   */
-  async initMap() {
-    console.log("[nearby-vets] initMap called")
+    this.updateTravelModeToggle()
+    this.updateUnitsToggle()
+    this.observeOverlayHeight()
 
-    try {
-      // Get user's current location (with fallback prompt)
-      const userLocation = await this.getLocationWithFallback()
-      this.userLocation = userLocation
+    // Restore filters/sort/selection from a shared or reloaded URL
+    const urlState = readVetsUrlState()
+    this.applyUrlFilters(urlState)
+    this.pendingSelection = urlState.placeId ? { placeId: urlState.placeId, expanded: urlState.expanded } : null
+    this.renderFilterBar()
+    this.renderViewMode()
 
-      // Create the map with default styling
-      this.map = createMap(this.mapTarget, userLocation)
+    // Popping between this page's own entries is handled here instead of by a Turbo restore visit
+    this.restorationId = window.history.state?.turbo?.restorationIdentifier || null
+    window.addEventListener('popstate', this.handlePopState, true)
+    writeVetsUrlState({ ...urlState })
 
-      // Add user location marker
-      createUserMarker(this.map, userLocation, this.userMarkerIconValue)
+    // Open/closed badges depend on the clock; refresh them every minute
+    this.openStateTimer = setInterval(() => this.refreshOpenStates(), 60 * 1000)
 
-      // Search for all animal services
-      const results = await searchAllAnimalServices(userLocation)
+    // Live tracking pauses while the tab is hidden
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
 
-      // Combine all places into a single array and attach distance
-      this.allPlaces = [
-        ...results.vets,
-        ...results.shelters,
-        ...results.rescue
-      ].map(place => this.addDistance(place))
+    // Explain a lost connection and search again once it is back
+    window.addEventListener('online', this.handleOnline)
+    window.addEventListener('offline', this.handleOffline)
 
-      // Sort by distance ascending
-      this.allPlaces.sort((a, b) => (a.distanceMeters || Infinity) - (b.distanceMeters || Infinity))
+    // A key rejected after the SDK loaded (e.g. on the first request) is reported here
+    this.stopWatchingMapsAuth = onGoogleMapsAuthFailure(error => this.handleError(error))
 
-      // Store places for later use (legacy compatibility)
-      this.places = this.allPlaces
+    // Without the map the search still runs and feeds the list
+    await this.loadMaps()
+    this.initMap(urlState)
+  }
 
-      // Create bounds to fit all markers
-      const bounds = new google.maps.LatLngBounds()
-      bounds.extend(userLocation)
+  /**
+   * Lifecycle callback when controller disconnects from DOM
+   * @returns {void}
+   */
+  disconnect() {
+    if (this.openStateTimer) clearInterval(this.openStateTimer)
+    this.openStateTimer = null
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+    window.removeEventListener('popstate', this.handlePopState, true)
+    window.removeEventListener('online', this.handleOnline)
+    window.removeEventListener('offline', this.handleOffline)
+    this.stopLocationWatch()
+    this.stopWatchingTheme?.()
+    this.stopWatchingTheme = null
+    this.stopWatchingMapsAuth?.()
+    this.stopWatchingMapsAuth = null
+    this.overlayObserver?.disconnect()
+    this.overlayObserver = null
+  }
 
-      // Add markers for all places
-      this.allPlaces.forEach((place) => {
-        const marker = createVetMarker(this.map, {
-          ...place,
-          markerTitle: this.markerTitleFor(place)
-        })
+  /**
+   * Loads the Maps JS SDK with the libraries this page needs
+   * On failure the page falls back to the list (see fallBackToList); other
+   * causes such as being offline also get their error panel.
+   * @returns {Promise<boolean>} Whether the SDK is ready
+   */
+  async loadMaps() {
+    const libraries = [
+      ...MAPS_CONFIG.SDK.libraries,
+      ...(this.placesProviderValue === 'google' ? MAPS_CONFIG.SDK.placesLibraries : []),
+      ...(this.travelTimeProviderValue === 'google' ? MAPS_CONFIG.SDK.travelTimeLibraries : []),
+      ...(this.geocoderValue === 'google' ? MAPS_CONFIG.SDK.geocodingLibraries : [])
+    ]
 
-        // Store marker reference
-        if (marker && place.id) {
-          this.markers.set(place.id, marker)
-        }
+    try {
+      await loadGoogleMaps({ apiKey: this.mapsApiKeyValue, libraries })
+    } catch (error) {
+      console.error("[nearby-vets] Map unavailable:", error)
+      const typed = classifyError(error)
+      this.fallBackToList(typed)
+      if (!ERROR_PANELS[typed.type]?.listFallback) this.showError(typed)
+      return false
+    }
 
-        // Extend bounds to include this marker
-        if (place.location) {
-          bounds.extend(place.location)
-        }
+    // A rejected key stays rejected until the page is reloaded
+    if (this.mapsError && ERROR_PANELS[this.mapsError.type]?.retry !== 'reload') {
+      this.mapsError = null
+      this.setMapStatus(null)
+      this.renderViewMode()
+    }
+    return true
+  }
 
-        // Add click listener to show modal
-        if (marker) {
-          marker.addListener("click", () => {
-            this.collapseAllCards()
-            this.highlightCard(place)
-            this.expandCard(place, true)
-            this.updateActiveMarker(place.id)
-          })
-        }
-      })
+  /**
+   * Keeps --vets-overlay-bottom at the lower edge of the top overlays (chips,
+   * category bar, status pills), whose height depends on wrapping and
+   * content; the list and "Search this area" are placed below it
+   * @returns {void}
+   */
+  observeOverlayHeight() {
+    const overlays = [
+      this.hasFilterOverlayTarget && this.filterOverlayTarget,
+      this.hasFilterBarTarget && this.filterBarTarget,
+      this.hasSearchStatusTarget && this.searchStatusTarget
+    ].filter(Boolean)
 
-      // Fit map to show all markers
-      this.map.fitBounds(bounds)
-      // Prevent over-zooming; keep an overview similar to screenshot 2
-      if (this.map.getZoom() > 12) {
-        this.map.setZoom(12)
-      }
+    const update = () => {
+      const bottoms = overlays
+        .map(overlay => overlay.getBoundingClientRect())
+        .filter(rect => rect.height > 0)
+        .map(rect => rect.bottom)
+      this.element.style.setProperty('--vets-overlay-bottom', `${Math.ceil(Math.max(0, ...bottoms))}px`)
+    }
 
-      // Render horizontal location cards
-      this.renderHorizontalList(this.allPlaces)
+    update()
+    if (!window.ResizeObserver) return
+    this.overlayObserver = new ResizeObserver(update)
+    overlays.forEach(overlay => this.overlayObserver.observe(overlay))
+  }
 
-    } catch (error) {
-      this.handleError(error)
-    }
+  /**
+   * Whether the list is shown instead of the map
+   * @returns {boolean}
+   */
+  get listMode() {
+    return this.listView || Boolean(this.mapsError)
   }
 
   /**
-   * Collapse all horizontal cards
+   * Switches to the list because the map can't be used
+   * Searches move to a provider that works without the SDK (see searchProvider).
+   * @param {VetsPageError} error - Why the map is unavailable
    * @returns {void}
    */
-  collapseAllCards() {
-    const cards = this.horizontalListTarget?.querySelectorAll('.location-card-horizontal') || []
-    cards.forEach(card => setCardExpanded(card, false))
+  fallBackToList(error) {
+    const provider = this.searchProvider()
+    this.mapsError = error
+    this.setMapStatus(error)
+    this.renderViewMode()
+    if (this.userLocation && this.searchProvider() !== provider) this.rerunSearch()
   }
 
   /**
-   * Renders the horizontal scrolling list of location cards
-   * @param {Array} places - Array of place objects to render
+   * Shows the map or the list, and syncs the list chip
+   * Leaving the list creates the map on first use and puts the places on it.
    * @returns {void}
    */
-  renderHorizontalList(places) {
-    this.horizontalListTarget.innerHTML = ""
-    this.activeCard = null
-    this.updateActiveMarker(null)
+  renderViewMode() {
+    const listMode = this.listMode
+    this.element.classList.toggle('list-mode', listMode)
+    if (this.hasListViewToggleTarget) {
+      this.listViewToggleTarget.classList.toggle('active', listMode)
+      this.listViewToggleTarget.setAttribute('aria-pressed', String(listMode))
+    }
+    if (listMode) {
+      this.horizontalListTarget.removeAttribute('aria-roledescription')
+    } else {
+      this.horizontalListTarget.setAttribute('aria-roledescription', 'carousel')
+    }
 
-    places.forEach((place, index) => {
-      const card = createHorizontalLocationCard(
-        place,
-        (clickedPlace) => {
-          this.highlightCard(clickedPlace)
-          this.expandCard(clickedPlace, true)
-          this.updateActiveMarker(clickedPlace.id)
-        },
-        (hoveredPlace, isHovering) => {
-          this.highlightMarker(hoveredPlace, isHovering)
-        },
-        this.hasIntake,
-        (isExpanded) => {
-          this.setHorizontalScrollLock(isExpanded)
-        },
-        this.userLocation,
-        index === 0
-      )
+    if (listMode || this.map || !this.userLocation) return
+    this.ensureMap(this.userLocation)
+    this.allPlaces.forEach(place => this.addMarkerForPlace(place))
+    this.updateMarkersVisibility()
+    this.fitToPlaces()
 
-      this.horizontalListTarget.appendChild(card)
-    })
+    // Put the selection made in the list on the new map
+    const activePlaceId = this.activePlaceId
+    this.activePlaceId = null
+    if (activePlaceId) this.updateActiveMarker(activePlaceId)
+  }
 
-    this.setupHorizontalScrollListener()
-    this.syncActiveCardWithScroll()
+  /**
+   * List chip: switches between map and list
+   * While the map is unavailable the chip retries it instead.
+   * @returns {Promise<void>}
+   */
+  async toggleListView() {
+    if (this.mapsError) {
+      await this.retryMap()
+      return
+    }
+    this.listView = !this.listView
+    this.renderViewMode()
+    this.syncUrl({ push: true })
   }
 
   /**
-   * Expands/collapses a horizontal card by place id
-   * @param {Object} place - Place whose card to expand/collapse
-   * @param {boolean} expanded - Whether to expand (true) or collapse (false)
-   * @returns {void}
+   * Retries the map after it failed (the status pill and the list chip)
+   * @returns {Promise<void>}
    */
-  expandCard(place, expanded = true) {
-    const card = this.horizontalListTarget.querySelector(`[data-place-id="${place.id}"]`)
-    if (!card) return
-    setCardExpanded(card, expanded)
-    this.setHorizontalScrollLock(expanded)
-    if (expanded) {
-      this.centerActivePlace(place)
+  async retryMap() {
+    if (ERROR_PANELS[this.mapsError?.type]?.retry === 'reload') {
+      window.location.reload()
+      return
     }
+    this.listView = false
+    if (await this.loadMaps()) this.syncUrl({ push: true })
   }
 
   /**
-   * Locks/unlocks horizontal scroll when a card is expanded
-   * @param {boolean} locked - true to lock scroll (expanded), false to unlock
+   * Shows or clears the "map unavailable" pill; clicking it retries the map
+   * @param {VetsPageError|null} error - Why the map is unavailable, null to clear
    * @returns {void}
    */
-  setHorizontalScrollLock(locked) {
-    if (!this.horizontalListTarget) return
-    this.horizontalListTarget.classList.toggle('expanded', locked)
+  setMapStatus(error) {
+    if (!this.hasSearchStatusTarget) return
+
+    this.searchStatusTarget.querySelector('[data-status="map"]')?.remove()
+    if (!error) return
+
+    const pill = document.createElement('button')
+    pill.type = 'button'
+    pill.className = 'search-status-pill error'
+    pill.dataset.status = 'map'
+    pill.dataset.action = 'click->nearby-vets#retryMap'
+    pill.innerHTML = `<i class="fa-solid fa-rotate-right"></i> ${t("map.unavailable")}`
+    this.searchStatusTarget.prepend(pill)
   }
 
   /**
-   * Sets up scroll listener to sync active marker when cards snap into view
-   * @returns {void}
+   * Places provider for searches
+   * The Google provider needs a working SDK and key; without them (the map
+   * failed) MAPS_CONFIG.LIST_MODE.placesProvider feeds the list instead.
+   * @returns {string} Provider name
    */
-  setupHorizontalScrollListener() {
-    if (!this.horizontalListTarget) return
-    if (!this.handleHorizontalScroll) {
-      this.handleHorizontalScroll = () => {
-        if (this.scrollRaf) cancelAnimationFrame(this.scrollRaf)
-        this.scrollRaf = requestAnimationFrame(() => this.syncActiveCardWithScroll())
-      }
-    }
-    this.horizontalListTarget.removeEventListener('scroll', this.handleHorizontalScroll)
-    this.horizontalListTarget.addEventListener('scroll', this.handleHorizontalScroll)
+  searchProvider() {
+    const googleUsable = !this.mapsError && Boolean(window.google?.maps?.places?.Place)
+    if (this.placesProviderValue !== 'google' || googleUsable) return this.placesProviderValue
+    return MAPS_CONFIG.LIST_MODE.placesProvider
   }
 
   /**
-   * Picks the card nearest the container center and marks it active
-   * @returns {void}
+   * Cache key of a search around a location
+   * @param {Object} location - Search center
+   * @param {string} [provider] - Places provider (defaults to searchProvider())
+   * @returns {string}
    */
-  syncActiveCardWithScroll() {
-    if (!this.horizontalListTarget) return
-    const cards = Array.from(this.horizontalListTarget.querySelectorAll('.location-card-horizontal'))
-    if (cards.length === 0) return
+  placesCacheKey(location, provider = this.searchProvider()) {
+    return buildPlacesCacheKey(location, { provider, extraQueries: this.searchExtraQueries() })
+  }
 
-    const containerRect = this.horizontalListTarget.getBoundingClientRect()
-    const containerCenter = containerRect.left + containerRect.width / 2
+  /**
+   * Checks if user has an active intake
+   * Used to determine if appointment features should be enabled
+   * @returns {boolean} True if user has a valid intake ID
+   */
+  get hasIntake() {
+    return this.hasIntakeIdValue && this.intakeIdValue > 0
+  }
 
-    let nearestCard = null
-    let minDistance = Infinity
+  /**
+   * Initializes the Google Map with user location and nearby animal services
+   * When geolocation is unavailable the location panel opens instead and the
+   * search starts once the user picks an address. A location or searched area
+   * from the URL takes precedence over geolocation.
+   *
+   * @async
+   * @param {Object} [urlState={}] - State read from the URL (see utils/url_state)
+   * @returns {Promise<void>}
+   */
+  async initMap(urlState = {}) {
+    console.log("[nearby-vets] initMap called")
 
-    cards.forEach((card) => {
-      const rect = card.getBoundingClientRect()
-      const cardCenter = rect.left + rect.width / 2
-      const distance = Math.abs(cardCenter - containerCenter)
-      if (distance < minDistance) {
-        minDistance = distance
-        nearestCard = card
-      }
-    })
+    try {
+      const userLocation = urlState.location || await this.getLocationWithFallback()
+      if (!userLocation) return
 
-    if (nearestCard && nearestCard !== this.activeCard) {
-      this.setActiveCardFromElement(nearestCard)
+      await this.setSearchLocation(userLocation, { manual: Boolean(urlState.location) })
+      if (urlState.area) await this.searchArea(urlState.area)
+    } catch (error) {
+      this.handleError(error)
     }
   }
 
   /**
-   * Activates a card and its marker based on a DOM element (no scroll)
-   * @param {HTMLElement} card - The card element to activate
-    * @returns {void}
+   * Moves the search to a new user location and re-runs the search
+   * Cached results (if any) are rendered right away; fresh results replace
+   * them once the background search completes.
+   *
+   * @param {Object} location - New user/search location { lat, lng }
+   * @param {Object} [options={}]
+   * @param {boolean} [options.manual=false] - Picked by the user (kept in the URL) rather than geolocated
+   * @returns {Promise<void>}
    */
-  setActiveCardFromElement(card) {
-    if (!card) return
-    const placeId = card.dataset.placeId
-    const place = this.allPlaces.find((p) => String(p.id) === String(placeId))
-    if (!place) return
+  async setSearchLocation(location, { manual = false } = {}) {
+    this.userLocation = location
+    this.manualLocation = manual ? location : null
+    this.areaCenter = null
+    this.searchGeneration += 1
+    this.searchedCenters = [location]
+    this.hideError()
+    // The list needs no map; it is created once the map is shown (renderViewMode)
+    if (this.map || !this.listMode) this.ensureMap(location)
+    this.showPlaces([])
 
-    if (this.activeCard && this.activeCard !== card) {
-      setCardActive(this.activeCard, false)
+    const cacheKey = this.placesCacheKey(location)
+    // Without Google, results cached from it earlier still beat a fresh fallback search
+    const cached = await readCachedPlaces(cacheKey) ||
+      (this.searchProvider() !== this.placesProviderValue
+        ? await readCachedPlaces(this.placesCacheKey(location, this.placesProviderValue))
+        : null)
+
+    // An empty entry (e.g. from an older version) is searched again so the zero-results panel can explain it
+    if (cached?.places.length > 0) {
+      this.showPlaces(cached.places, { fitBounds: true })
+      if (cached.isStale) {
+        this.refreshPlaces(location, cacheKey).catch((error) => {
+          console.warn("[nearby-vets] background refresh failed, keeping cached places:", error)
+        })
+      }
+      return
     }
 
-    setCardActive(card, true)
-    this.activeCard = card
-    this.updateActiveMarker(place.id)
-    this.centerActivePlace(place)
+    await this.refreshPlaces(location, cacheKey)
   }
 
   /**
-   * Updates marker icons to reflect active card selection
-   * @param {string|null} placeId - ID of the place to mark as active (or null to clear)
-    * @returns {void}
+   * Creates the map, user marker and clusterer on first use; afterwards just
+   * moves the user marker and recenters the map
+   * @param {Object} location - User location { lat, lng }
+   * @returns {void}
    */
-  updateActiveMarker(placeId) {
-    if (this.activePlaceId === placeId) return
-
-    // Reset previous active marker
-    if (this.activePlaceId) {
-      const prevMarker = this.markers.get(this.activePlaceId)
-      if (prevMarker) {
-        prevMarker.setIcon(getVetMarkerIcon())
-      }
+  ensureMap(location) {
+    if (this.map) {
+      this.userMarker?.setPosition(location)
+      this.map.panTo(location)
+      return
     }
 
-    // Set new active marker
-    const newMarker = placeId ? this.markers.get(placeId) : null
-    const place = placeId ? this.allPlaces.find(p => String(p.id) === String(placeId)) : null
-    if (newMarker) {
-      newMarker.setIcon(getActiveVetMarkerIcon())
-      const title = place?.distanceText ? `${place.displayName} • ${place.distanceText}` : place?.displayName
-      if (title) {
-        newMarker.setTitle(title)
-      }
-      if (!this.infoWindow && window.google && google.maps && google.maps.InfoWindow) {
-        this.infoWindow = new google.maps.InfoWindow()
-      }
-      if (this.infoWindow) {
-        this.infoWindow.setContent(`
-          <div class="map-infowindow">
-            <div class="map-infowindow-title">${place?.displayName || ''}</div>
-            ${place?.distanceText ? `<div class="map-infowindow-distance">${place.distanceText}</div>` : ''}
-          </div>
-        `)
-        this.infoWindow.open({
-          anchor: newMarker,
-          map: this.map,
-          shouldFocus: false
-        })
-      }
-    } else if (this.infoWindow) {
-      this.infoWindow.close()
-    }
+    // Create the map in the current theme
+    this.map = createMap(this.mapTarget, location, mapThemeOptions(this.themeName, { mapId: this.mapIdValue }))
 
-    this.activePlaceId = placeId || null
+    // Add user location marker; dragging it corrects the search position
+    this.userMarker = createUserMarker(this.map, location, this.userMarkerIconValue, { draggable: true })
+    this.userMarker.addListener("dragend", (event) => {
+      // A manual correction wins over GPS
+      this.setLiveTracking(false)
+      const location = { lat: event.latLng.lat(), lng: event.latLng.lng() }
+      this.setSearchLocation(location, { manual: true }).catch(error => this.handleError(error))
+      this.syncUrl({ push: true })
+    })
+
+    // Cluster place markers so dense results stay tappable
+    this.clusterer = createPlacesClusterer(this.map, {
+      categoryOf: (marker) => this.markerPlaces.get(marker)?.category,
+      colors: () => MAP_THEMES[this.themeName].cluster
+    })
+
+    // Offer "Search this area" once the map was panned far enough
+    this.map.addListener("idle", () => this.handleMapIdle())
   }
 
   /**
-   * Highlights a card in the horizontal list
-   * @param {Object} place - Place to highlight
-    * @returns {void}
+   * Runs the places search and renders each category as soon as it resolves
+   * The cache is only updated when every category succeeded and something
+   * was found; an empty result is searched again next time (and explained by
+   * the zero-results panel).
+   * @param {Object} location - Search center
+   * @param {string|null} cacheKey - Cache key for this search
+   * @param {string[]} [categoryKeys] - Categories to search (defaults to searchCategoryKeys())
+   * @param {Object} [options={}]
+   * @param {boolean} [options.merge=false] - Add to the current places instead of replacing them
+   * @returns {Promise<void>}
    */
-  highlightCard(place) {
-    // Remove previous active card
-    if (this.activeCard) {
-      setCardActive(this.activeCard, false)
-    }
+  async refreshPlaces(location, cacheKey, categoryKeys = this.searchCategoryKeys(), { merge = false } = {}) {
+    // Results of an older search (the user moved meanwhile) are dropped
+    const generation = this.searchGeneration
+    const isCurrent = () => generation === this.searchGeneration
+    this.searchCenter = location
+    this.searchCacheKey = cacheKey
+    this.searchMerge = merge
+    // Only fit bounds while nothing (e.g. a cached result) is on screen yet
+    const fitBounds = this.allPlaces.every(place => this.isSavedPlace(place))
+    // Merged searches cache only their own area, not everything on screen
+    const found = []
 
-    // Find and activate new card
-    const card = this.horizontalListTarget.querySelector(`[data-place-id="${place.id}"]`)
-    if (card) {
-      setCardActive(card, true)
-      this.activeCard = card
-      this.updateActiveMarker(place.id)
-      this.centerActivePlace(place)
+    categoryKeys.forEach(categoryKey => this.setCategoryStatus(categoryKey, 'loading'))
 
-      // Scroll card into view
-      card.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' })
+    await searchAllAnimalServices(location, {
+      provider: this.searchProvider(),
+      categories: categoryKeys,
+      extraQueries: this.searchExtraQueries(),
+      onCategoryResult: (categoryKey, places, searchMeta) => {
+        if (!isCurrent()) return
+        const notice = this.radiusNoticeFor(categoryKey, places, searchMeta)
+        this.setCategoryStatus(categoryKey, notice ? 'notice' : null, notice)
+        this.applyCategoryPlaces(categoryKey, places, { fitBounds, merge })
+        found.push(...places)
+      },
+      onCategoryError: (categoryKey) => {
+        if (isCurrent()) this.setCategoryStatus(categoryKey, 'error')
+      }
+    })
+
+    // A selection from the URL that did not show up in the results is dropped
+    if (isCurrent()) this.pendingSelection = null
+
+    // Every category answered and none found anything, even with the expanded radius
+    if (isCurrent() && !merge && this.failedCategories.size === 0 && found.length === 0) {
+      this.showError(new NoResultsError())
+    }
+
+    if (isCurrent() && this.failedCategories.size === 0) {
+      // Saved places shown from localStorage are not search results
+      const foundIds = new Set(found.map(place => String(place.id)))
+      const results = this.allPlaces.filter(place => !this.isSavedPlace(place) || foundIds.has(String(place.id)))
+      const places = merge ? found : results
+      if (places.length > 0) await writeCachedPlaces(cacheKey, places)
     }
   }
 
   /**
-   * Highlights a marker on the map
-   * @param {Object} place - Place whose marker to highlight
-   * @param {boolean} highlight - Whether to highlight or unhighlight
-    * @returns {void}
+   * Re-runs the search for a single failed category
+   * @param {Event} event - click event from a category status retry button
+   * @returns {Promise<void>}
    */
-  highlightMarker(place, highlight) {
-    const marker = this.markers.get(place.id)
-    if (!marker) return
+  async retryCategory(event) {
+    const categoryKey = event.currentTarget.dataset.category
+    if (!categoryKey || !this.searchCenter) return
 
-    if (highlight) {
-      // Make marker bounce or change appearance
-      marker.setAnimation(google.maps.Animation.BOUNCE)
-      setTimeout(() => marker.setAnimation(null), 750)
+    try {
+      await this.refreshPlaces(this.searchCenter, this.searchCacheKey, [categoryKey], { merge: this.searchMerge })
+    } catch (error) {
+      this.handleError(error)
     }
   }
 
   /**
-   * Updates marker visibility based on active category
-   * @param {string} category - Active category filter
-    * @returns {void}
+   * Replaces the places of one category: markers, cards and (optionally) bounds
+   * Places already shown under another category are not duplicated.
+   * @param {string} categoryKey - Category that resolved
+   * @param {Array} places - Normalized places for that category
+   * @param {Object} [options={}]
+   * @param {boolean} [options.fitBounds=false] - Fit map to the user + places
+   * @param {boolean} [options.merge=false] - Keep places of the category that were not returned
+   * @returns {void}
    */
-  updateMarkersVisibility(category) {
-    this.allPlaces.forEach((place) => {
-      const marker = this.markers.get(place.id)
-      if (!marker) return
+  applyCategoryPlaces(categoryKey, places, { fitBounds = false, merge = false } = {}) {
+    const incomingIds = new Set(places.map(place => String(place.id)))
+    const kept = merge
+      ? this.allPlaces
+      : this.allPlaces.filter(place =>
+        place.category !== categoryKey || incomingIds.has(String(place.id)) || this.isSavedPlace(place)
+      )
+    const keptIds = new Set(kept.map(place => String(place.id)))
 
-      if (category === 'all' || place.category === category) {
-        marker.setVisible(true)
-      } else {
-        marker.setVisible(false)
-      }
-    })
+    // Drop markers of places that disappeared from this category
+    this.allPlaces
+      .filter(place => !keptIds.has(String(place.id)))
+      .forEach(place => this.removeMarkerForPlace(place))
+
+    const added = places
+      .filter(place => !keptIds.has(String(place.id)))
+      .map(place => this.addDistance(place))
+    added.forEach(place => this.addMarkerForPlace(place))
+
+    this.allPlaces = [...kept, ...added].sort(this.placeComparator())
+    this.places = this.allPlaces
+
+    this.applyFilters({ incremental: true, fitBounds })
+    this.updateTravelTimes()
   }
 
   /**
-   * Filters locations by category and updates markers/list
-    * @param {Event} event - click event from category chip
-    * @returns {void}
+   * Shows "Search this area" when the map center left every searched area
+   * @returns {void}
    */
-  filterByCategory(event) {
-    const category = event.currentTarget.dataset.category
-    this.activeCategory = category
+  handleMapIdle() {
+    if (!this.hasSearchAreaButtonTarget || this.searchedCenters.length === 0) return
 
-    this.toggleFilterChips(category)
-    const filteredPlaces = this.filteredPlacesForCategory(category)
-
-    this.renderHorizontalList(filteredPlaces)
-    this.updateMarkersVisibility(category)
+    const center = this.map.getCenter()
+    const isFarAway = this.searchedCenters.every(searched =>
+      distanceInMeters(searched, center) >= MAPS_CONFIG.AREA_SEARCH.minMoveMeters
+    )
+    this.searchAreaButtonTarget.classList.toggle('hidden', !isFarAway)
   }
 
   /**
-   * Keeps both the user (fox) and selected place in view with padding
-   * @param {Object} place - selected place
+   * Searches around the map center and merges the results into the list
+   * Distances stay measured from the user, not from the searched area.
+   * @returns {Promise<void>}
    */
-  centerActivePlace(place) {
-    if (!this.map || !place?.location || !this.userLocation) return
+  async searchThisArea() {
+    if (!this.map) return
 
-    const bounds = new google.maps.LatLngBounds()
-    bounds.extend(this.userLocation)
-    bounds.extend(place.location)
+    const center = this.map.getCenter()
+    const search = this.searchArea({ lat: center.lat(), lng: center.lng() })
+    this.syncUrl({ push: true })
+    await search
+  }
+
+  /**
+   * Searches around a location and merges the results into the list
+   * @param {Object} location - Area center { lat, lng }
+   * @returns {Promise<void>}
+   */
+  async searchArea(location) {
+    this.areaCenter = location
+    this.searchedCenters.push(location)
+    if (this.hasSearchAreaButtonTarget) this.searchAreaButtonTarget.classList.add('hidden')
+
+    const cacheKey = this.placesCacheKey(location)
+
+    try {
+      const cached = await readCachedPlaces(cacheKey)
+      if (cached?.places.length > 0 && !cached.isStale) {
+        this.mergeCachedPlaces(cached.places)
+        return
+      }
+      await this.refreshPlaces(location, cacheKey, undefined, { merge: true })
+    } catch (error) {
+      this.handleError(error)
+    }
+  }
+
+  /**
+   * Merges cached places of an area, category by category
+   * @param {Array} places - Cached places
+   * @returns {void}
+   */
+  mergeCachedPlaces(places) {
+    Object.keys(MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories).forEach((categoryKey) => {
+      const categoryPlaces = places.filter(place => place.category === categoryKey)
+      if (categoryPlaces.length > 0) this.applyCategoryPlaces(categoryKey, categoryPlaces, { merge: true })
+    })
+  }
+
+  /**
+   * Builds the "searched further" notice for a category, if its radius grew
+   * @param {string} categoryKey - Category key
+   * @param {Array} places - Places found
+   * @param {Object} [searchMeta] - { radius, baseRadius, baseCount } from the search
+   * @returns {string|null} Notice text or null when no expansion happened
+   */
+  radiusNoticeFor(categoryKey, places, searchMeta) {
+    if (!searchMeta || searchMeta.radius <= searchMeta.baseRadius) return null
+
+    const category = t(`categories.${categoryKey}.plural`)
+    const baseRadius = formatRadiusLabel(searchMeta.baseRadius)
+    const radius = formatRadiusLabel(searchMeta.radius)
+
+    if (places.length === 0) return t("search.noneWithin", { category, radius })
+    if (searchMeta.baseCount === 0) return t("search.noneWithinExpanded", { category, baseRadius, radius })
+    const found = t(`categories.${categoryKey}.count`, { count: searchMeta.baseCount })
+    return t("search.onlyWithinExpanded", { found, baseRadius, radius })
+  }
+
+  /**
+   * Shows or clears the status pill of a category (loading / error / notice)
+   * @param {string} categoryKey - Category key
+   * @param {'loading'|'error'|'notice'|null} state - Status to show, null to clear
+   * @param {string} [message] - Text for the notice state
+   * @returns {void}
+   */
+  setCategoryStatus(categoryKey, state, message = '') {
+    if (state === 'error') {
+      this.failedCategories.add(categoryKey)
+    } else {
+      this.failedCategories.delete(categoryKey)
+    }
+    if (!this.hasSearchStatusTarget) return
+
+    this.searchStatusTarget.querySelector(`[data-category="${categoryKey}"]`)?.remove()
+    if (!state) return
+
+    const pill = document.createElement(state === 'error' ? 'button' : 'span')
+    pill.className = `search-status-pill ${state}`
+    pill.dataset.category = categoryKey
+
+    if (state === 'error') {
+      pill.type = 'button'
+      pill.dataset.action = 'click->nearby-vets#retryCategory'
+      pill.innerHTML = `<i class="fa-solid fa-rotate-right"></i> ${t("search.unavailable", { category: t(`categories.${categoryKey}.name`) })}`
+    } else if (state === 'notice') {
+      pill.textContent = message
+    } else {
+      pill.textContent = t("search.loading", { category: t(`categories.${categoryKey}.plural`) })
+    }
+
+    this.searchStatusTarget.appendChild(pill)
+  }
+
+  /**
+   * Replaces the current places with a new set: markers, bounds and cards
+   * Keeps the active selection when the same place is still present.
+   * @param {Array} places - Normalized places
+   * @param {Object} [options={}]
+   * @param {boolean} [options.fitBounds=false] - Fit map to the user + places
+   * @returns {void}
+   */
+  showPlaces(places, { fitBounds = false } = {}) {
+    const previousActiveId = this.activePlaceId
+    this.clearMarkers()
+
+    // Saved places are always listed, even outside the search radius
+    this.allPlaces = this.withSavedPlaces(places)
+      .map(place => this.addDistance(place))
+      .sort(this.placeComparator())
+
+    // Store places for later use (legacy compatibility)
+    this.places = this.allPlaces
+
+    // Add markers for all places, then show markers + cards for the active filters
+    this.allPlaces.forEach(place => this.addMarkerForPlace(place))
+    this.applyFilters({ fitBounds })
+
+    const previousPlace = previousActiveId && this.allPlaces.find(p => String(p.id) === String(previousActiveId))
+    if (previousPlace) {
+      this.highlightCard(previousPlace)
+    }
+
+    this.updateTravelTimes()
+  }
+
+  /**
+   * Adds the saved places that are missing from a result set
+   * @param {Array} places - Places from a search or the cache
+   * @returns {Array}
+   */
+  withSavedPlaces(places) {
+    const ids = new Set(places.map(place => String(place.id)))
+    const missing = Array.from(this.savedPlaces.values()).filter(place => !ids.has(String(place.id)))
+    return [...places, ...missing]
+  }
+
+  /**
+   * Whether a place is saved
+   * @param {Object} place
+   * @returns {boolean}
+   */
+  isSavedPlace(place) {
+    return Boolean(place) && this.savedPlaces.has(String(place.id))
+  }
+
+  /**
+   * Stars/unstars a place and re-sorts the list (saved places come first)
+   * @param {Object} place - Place of the card
+   * @returns {void}
+   */
+  toggleSavedPlace(place) {
+    const entries = this.isSavedPlace(place) ? removeSavedPlace(place.id) : savePlace(place)
+    this.savedPlaces = new Map(entries.map(entry => [String(entry.id), entry]))
+
+    const card = this.horizontalListTarget.querySelector(`[data-place-id="${place.id}"]`)
+    if (card) setCardSaved(card, this.isSavedPlace(place))
+
+    this.allPlaces = this.allPlaces.map(p => this.addDistance(p)).sort(this.placeComparator())
+    this.places = this.allPlaces
+    this.applyFilters({ incremental: true })
+  }
+
+  /**
+   * Creates the marker for a place and wires its click handler
+   * @param {Object} place - Place with distance fields
+   * @returns {void}
+   */
+  addMarkerForPlace(place) {
+    // List mode without a map: markers are added once the map is shown
+    if (!this.map) return
+
+    // Not added to the map directly: the clusterer decides whether the marker or its cluster is shown
+    const marker = createVetMarker(null, {
+      ...place,
+      markerTitle: this.markerTitleFor(place)
+    }, { advanced: Boolean(this.mapIdValue), pinStyle: MAP_THEMES[this.themeName].pin })
+    if (!marker) return
+    this.markerPlaces.set(marker, place)
+
+    // Store marker reference
+    if (place.id) {
+      this.markers.set(place.id, marker)
+    }
+
+    // Add click listener to show modal
+    marker.addListener("click", () => {
+      this.collapseAllCards()
+      this.highlightCard(place)
+      this.expandCard(place, true)
+      this.updateActiveMarker(place.id)
+      this.syncUrl({ push: true })
+    })
+  }
+
+  /**
+   * Removes the marker of a single place
+   * @param {Object} place - Place whose marker to remove
+   * @returns {void}
+   */
+  removeMarkerForPlace(place) {
+    const marker = this.markers.get(place.id)
+    if (!marker) return
+    if (String(this.activePlaceId) === String(place.id)) this.updateActiveMarker(null)
+    this.clusterer?.removeMarker(marker)
+    this.markers.delete(place.id)
+  }
+
+  /**
+   * Fits the map to the user and the given places
+   * @param {Array} [places] - Places to show (defaults to the filtered places)
+   * @returns {void}
+   */
+  fitToPlaces(places = this.filteredPlaces()) {
+    if (!this.map || !this.userLocation) return
+
+    // Create bounds to fit all markers
+    const bounds = new google.maps.LatLngBounds()
+    bounds.extend(this.userLocation)
+    // Saved places can be far away; only the "Saved" filter zooms out to them
+    const searched = places.filter(place => !this.isSavedPlace(place))
+    const fitPlaces = this.savedOnly || searched.length === 0 ? places : searched
+    fitPlaces.forEach((place) => {
+      if (place.location) bounds.extend(place.location)
+    })
+
+    // Fit map to show all markers
+    this.map.fitBounds(bounds)
+    // Prevent over-zooming; keep an overview similar to screenshot 2
+    if (this.map.getZoom() > 12) {
+      this.map.setZoom(12)
+    }
+  }
+
+  /**
+   * Removes all place markers from the map
+   * @returns {void}
+   */
+  clearMarkers() {
+    this.updateActiveMarker(null)
+    this.clusterer?.clear()
+    this.markers.clear()
+  }
+
+  /**
+   * Collapse all horizontal cards
+   * @returns {void}
+   */
+  collapseAllCards() {
+    const cards = this.horizontalListTarget?.querySelectorAll('.location-card-horizontal') || []
+    cards.forEach(card => setCardExpanded(card, false))
+  }
+
+  /**
+   * Renders the horizontal scrolling list of location cards
+   * In incremental mode existing cards are kept (with their active/expanded
+   * state), missing ones are created and the DOM order follows `places`.
+   * @param {Array} places - Array of place objects to render
+   * @param {Object} [options={}]
+   * @param {boolean} [options.incremental=false] - Reconcile instead of rebuilding
+   * @returns {void}
+   */
+  renderHorizontalList(places, { incremental = false } = {}) {
+    if (!incremental) {
+      this.horizontalListTarget.innerHTML = ""
+      this.activeCard = null
+      this.updateActiveMarker(null)
+    }
+
+    const list = this.horizontalListTarget
+    const existingCards = new Map(
+      Array.from(list.querySelectorAll('.location-card-horizontal')).map(card => [card.dataset.placeId, card])
+    )
+    const wantedIds = new Set(places.map(place => String(place.id)))
+    // The list may be sorted by travel time, so find the nearest explicitly
+    const nearestId = places.reduce((nearest, place) => (!nearest || byDistance(place, nearest) < 0 ? place : nearest), null)?.id
+
+    existingCards.forEach((card, placeId) => {
+      if (wantedIds.has(placeId)) return
+      if (card === this.activeCard) {
+        this.activeCard = null
+        this.updateActiveMarker(null)
+      }
+      card.remove()
+    })
+
+    places.forEach((place, index) => {
+      const isNearest = place.id === nearestId
+      let card = existingCards.get(String(place.id))
+      if (card) {
+        updateCardMeta(card, place, { userLocation: this.userLocation, isNearest })
+      } else {
+        card = this.buildHorizontalCard(place, isNearest)
+      }
+
+      // Only move nodes that are out of place so focus/scroll stay stable
+      if (list.children[index] !== card) {
+        list.insertBefore(card, list.children[index] || null)
+      }
+    })
+
+    this.setupHorizontalScrollListener()
+    if (!this.activeCard) this.syncActiveCardWithScroll()
+    this.syncCardTabStop()
+  }
+
+  /**
+   * Keeps exactly one card in the tab order (roving tabindex): the active
+   * card, or the first one while none is active (the vertical list does not
+   * activate cards on scroll), so the arrow keys have a card to start from
+   * @returns {void}
+   */
+  syncCardTabStop() {
+    const cards = Array.from(this.horizontalListTarget.querySelectorAll('.location-card-horizontal'))
+    const tabStop = cards.includes(this.activeCard) ? this.activeCard : cards[0]
+    cards.forEach(card => { card.tabIndex = card === tabStop ? 0 : -1 })
+  }
+
+  /**
+   * Creates a horizontal card wired to this controller
+   * @param {Object} place - Place to render
+   * @param {boolean} isNearest - Whether this place is the nearest
+   * @returns {HTMLElement} Card element
+   */
+  buildHorizontalCard(place, isNearest) {
+    return createHorizontalLocationCard(
+      place,
+      (clickedPlace) => {
+        this.highlightCard(clickedPlace)
+        this.expandCard(clickedPlace, true)
+        this.updateActiveMarker(clickedPlace.id)
+        this.syncUrl({ push: true })
+      },
+      (hoveredPlace, isHovering) => {
+        this.highlightMarker(hoveredPlace, isHovering)
+      },
+      this.hasIntake,
+      (isExpanded) => {
+        this.setHorizontalScrollLock(isExpanded)
+        this.syncUrl()
+      },
+      this.userLocation,
+      isNearest,
+      (savedPlace) => this.toggleSavedPlace(savedPlace),
+      this.searchProvider() === 'google' ? (detailsPlace) => loadPlaceDetails(detailsPlace.id) : null
+    )
+  }
+
+  /**
+   * Expands/collapses a horizontal card by place id
+   * @param {Object} place - Place whose card to expand/collapse
+   * @param {boolean} expanded - Whether to expand (true) or collapse (false)
+   * @returns {void}
+   */
+  expandCard(place, expanded = true) {
+    const card = this.horizontalListTarget.querySelector(`[data-place-id="${place.id}"]`)
+    if (!card) return
+    setCardExpanded(card, expanded)
+    this.setHorizontalScrollLock(expanded)
+    if (expanded) {
+      this.centerActivePlace(place)
+    }
+  }
+
+  /**
+   * Locks/unlocks horizontal scroll when a card is expanded
+   * @param {boolean} locked - true to lock scroll (expanded), false to unlock
+   * @returns {void}
+   */
+  setHorizontalScrollLock(locked) {
+    if (!this.horizontalListTarget) return
+    this.horizontalListTarget.classList.toggle('expanded', locked)
+  }
+
+  /**
+   * Sets up scroll listener to sync active marker when cards snap into view
+   * @returns {void}
+   */
+  setupHorizontalScrollListener() {
+    if (!this.horizontalListTarget) return
+    if (!this.handleHorizontalScroll) {
+      this.handleHorizontalScroll = () => {
+        if (this.scrollRaf) cancelAnimationFrame(this.scrollRaf)
+        this.scrollRaf = requestAnimationFrame(() => this.syncActiveCardWithScroll())
+      }
+    }
+    this.horizontalListTarget.removeEventListener('scroll', this.handleHorizontalScroll)
+    this.horizontalListTarget.addEventListener('scroll', this.handleHorizontalScroll)
+  }
+
+  /**
+   * Picks the card nearest the container center and marks it active
+   * @returns {void}
+   */
+  syncActiveCardWithScroll() {
+    // The vertical list has no map to follow the scroll position
+    if (!this.horizontalListTarget || this.listMode) return
+    const cards = Array.from(this.horizontalListTarget.querySelectorAll('.location-card-horizontal'))
+    if (cards.length === 0) return
+
+    const containerRect = this.horizontalListTarget.getBoundingClientRect()
+    const containerCenter = containerRect.left + containerRect.width / 2
+
+    let nearestCard = null
+    let minDistance = Infinity
+
+    cards.forEach((card) => {
+      const rect = card.getBoundingClientRect()
+      const cardCenter = rect.left + rect.width / 2
+      const distance = Math.abs(cardCenter - containerCenter)
+      if (distance < minDistance) {
+        minDistance = distance
+        nearestCard = card
+      }
+    })
+
+    if (nearestCard && nearestCard !== this.activeCard) {
+      this.setActiveCardFromElement(nearestCard)
+    }
+  }
+
+  /**
+   * Moves the active card with the keyboard (Arrow keys, Home, End)
+   * Left/Right in the carousel, Up/Down in the vertical list.
+   * Only applies while a collapsed card itself has focus; an expanded card
+   * keeps its keys for its own controls.
+   * @param {KeyboardEvent} event - keydown on the horizontal list
+   * @returns {void}
+   */
+  handleListKeydown(event) {
+    const card = event.target.closest('.location-card-horizontal')
+    if (!card || event.target !== card || card.querySelector('.location-card-expanded:not(.hidden)')) return
+
+    const cards = Array.from(this.horizontalListTarget.querySelectorAll('.location-card-horizontal'))
+    const index = cards.indexOf(card)
+    const [previousKey, nextKey] = this.listMode ? ['ArrowUp', 'ArrowDown'] : ['ArrowLeft', 'ArrowRight']
+    const targetIndex = { [nextKey]: index + 1, [previousKey]: index - 1, Home: 0, End: cards.length - 1 }[event.key]
+    if (targetIndex === undefined) return
+
+    event.preventDefault()
+    const next = cards[Math.max(0, Math.min(cards.length - 1, targetIndex))]
+    if (next !== card) this.setActiveCardFromElement(next, { focus: true })
+  }
+
+  /**
+   * Announces a place (name, category, distance, open status, position)
+   * @param {Object} place - Place to announce
+   * @returns {void}
+   */
+  announcePlace(place) {
+    if (!this.hasAnnouncerTarget || !place) return
+
+    const places = this.filteredPlaces()
+    const index = places.findIndex(p => String(p.id) === String(place.id))
+    const description = describePlace(place, this.userLocation)
+    const message = index >= 0
+      ? t("list.position", { place: description, index: index + 1, total: places.length })
+      : description
+
+    // Clear first so repeating the same place is announced again
+    this.announcerTarget.textContent = ''
+    requestAnimationFrame(() => {
+      this.announcerTarget.textContent = message
+    })
+  }
+
+  /**
+   * Activates a card and its marker based on a DOM element
+   * Scroll-driven updates leave focus alone; keyboard navigation moves focus
+   * along, scrolls the card into view and announces it.
+   * @param {HTMLElement} card - The card element to activate
+   * @param {Object} [options={}]
+   * @param {boolean} [options.focus=false] - Focus, scroll to and announce the card
+    * @returns {void}
+   */
+  setActiveCardFromElement(card, { focus = false } = {}) {
+    if (!card) return
+    const placeId = card.dataset.placeId
+    const place = this.allPlaces.find((p) => String(p.id) === String(placeId))
+    if (!place) return
+
+    if (this.activeCard && this.activeCard !== card) {
+      setCardActive(this.activeCard, false)
+    }
+
+    setCardActive(card, true)
+    this.activeCard = card
+    this.syncCardTabStop()
+    this.updateActiveMarker(place.id)
+    this.centerActivePlace(place)
+
+    if (focus) {
+      card.focus({ preventScroll: true })
+      card.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' })
+      this.announcePlace(place)
+    }
+    this.syncUrl()
+  }
+
+  /**
+   * Updates marker icons to reflect active card selection
+   * @param {string|null} placeId - ID of the place to mark as active (or null to clear)
+    * @returns {void}
+   */
+  updateActiveMarker(placeId) {
+    if (this.activePlaceId === placeId) return
+
+    // Reset previous active marker
+    if (this.activePlaceId) {
+      const prevMarker = this.markers.get(this.activePlaceId)
+      if (prevMarker) {
+        setVetMarkerActive(prevMarker, false)
+        this.clusterer?.unpin(prevMarker)
+      }
+    }
+
+    // Set new active marker
+    const newMarker = placeId ? this.markers.get(placeId) : null
+    const place = placeId ? this.allPlaces.find(p => String(p.id) === String(placeId)) : null
+    if (newMarker) {
+      // Pull the active marker out of its cluster so it (and the info window) stay visible
+      this.clusterer?.pin(newMarker)
+      setVetMarkerActive(newMarker, true)
+      if (place) {
+        setVetMarkerTitle(newMarker, { ...place, markerTitle: this.markerTitleFor(place) })
+      }
+      if (!this.infoWindow && window.google && google.maps && google.maps.InfoWindow) {
+        this.infoWindow = new google.maps.InfoWindow()
+      }
+      if (this.infoWindow) {
+        this.infoWindow.setContent(this.infoWindowContentFor(place))
+        this.infoWindow.open({
+          anchor: newMarker,
+          map: this.map,
+          shouldFocus: false
+        })
+      }
+    } else if (this.infoWindow) {
+      this.infoWindow.close()
+    }
+
+    this.activePlaceId = placeId || null
+  }
+
+  /**
+   * Builds the info window markup for the active place
+   * @param {Object|null} place - Active place
+   * @returns {string} HTML
+   */
+  infoWindowContentFor(place) {
+    return `
+      <div class="map-infowindow">
+        <div class="map-infowindow-title">${escapeHtml(place?.displayName)}</div>
+        ${place?.distanceText ? `<div class="map-infowindow-distance">${place.distanceText}</div>` : ''}
+        ${place?.travelTime ? `<div class="map-infowindow-eta">${buildTravelTimeBadge(place.travelTime)}</div>` : ''}
+      </div>
+    `
+  }
+
+  /**
+   * Highlights a card in the horizontal list
+   * @param {Object} place - Place to highlight
+    * @returns {void}
+   */
+  highlightCard(place) {
+    // Remove previous active card
+    if (this.activeCard) {
+      setCardActive(this.activeCard, false)
+    }
+
+    // Find and activate new card
+    const card = this.horizontalListTarget.querySelector(`[data-place-id="${place.id}"]`)
+    if (card) {
+      setCardActive(card, true)
+      this.activeCard = card
+      this.syncCardTabStop()
+      this.updateActiveMarker(place.id)
+      this.centerActivePlace(place)
+
+      // Scroll card into view
+      card.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' })
+      this.announcePlace(place)
+    }
+  }
+
+  /**
+   * Highlights a marker on the map
+   * @param {Object} place - Place whose marker to highlight
+   * @param {boolean} highlight - Whether to highlight or unhighlight
+    * @returns {void}
+   */
+  highlightMarker(place, highlight) {
+    const placeMarker = this.markers.get(place.id)
+    if (!placeMarker) return
+    // Bounce the cluster bubble when the place is hidden inside one
+    const marker = this.clusterer?.clusterMarkerFor(placeMarker) || placeMarker
+
+    if (highlight) {
+      bounceMarker(marker)
+    }
+  }
+
+  /**
+   * Updates marker visibility based on the active filters
+   * Saved places always keep their marker.
+    * @returns {void}
+   */
+  updateMarkersVisibility() {
+    const visibleMarkers = this.allPlaces
+      .filter(place => this.isSavedPlace(place) || this.placeMatchesFilters(place))
+      .map(place => this.markers.get(place.id))
+      .filter(Boolean)
+
+    this.clusterer?.setMarkers(visibleMarkers)
+  }
+
+  /**
+   * Toggles a category in the filter bar; "all" clears the selection
+   * Several categories can be active at once.
+    * @param {Event} event - click event from category chip
+    * @returns {void}
+   */
+  filterByCategory(event) {
+    const category = event.currentTarget.dataset.category
+    const categoryKeys = Object.keys(MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories)
+
+    if (category === 'all') {
+      this.activeCategories.clear()
+    } else if (this.activeCategories.has(category)) {
+      this.activeCategories.delete(category)
+    } else {
+      this.activeCategories.add(category)
+    }
+    // Every category selected is the same as "all"
+    if (categoryKeys.every(key => this.activeCategories.has(key))) this.activeCategories.clear()
+
+    this.toggleFilterChips()
+    this.applyFilters({ fitBounds: true })
+    this.syncUrl({ push: true })
+  }
+
+  /**
+   * Re-renders cards, markers and filter counts for the active filters
+   * @param {Object} [options={}]
+   * @param {boolean} [options.incremental=false] - Reconcile cards instead of rebuilding
+   * @param {boolean} [options.fitBounds=false] - Fit the map to the user + visible places
+   * @returns {void}
+   */
+  applyFilters({ incremental = false, fitBounds = false } = {}) {
+    const places = this.filteredPlaces()
+
+    this.updateMarkersVisibility()
+    if (fitBounds) this.fitToPlaces(places)
+    this.renderHorizontalList(places, { incremental })
+    this.updateFilterCounts()
+    this.restorePendingSelection()
+  }
+
+  /**
+   * Selects (and expands) the place requested by the URL once it is listed
+   * @returns {void}
+   */
+  restorePendingSelection() {
+    if (!this.pendingSelection) return
+
+    const { placeId, expanded } = this.pendingSelection
+    const place = this.filteredPlaces().find(p => String(p.id) === String(placeId))
+    if (!place) return
+
+    this.pendingSelection = null
+    this.collapseAllCards()
+    this.highlightCard(place)
+    if (expanded) this.expandCard(place, true)
+  }
+
+  /**
+   * Current page state in the shape used by utils/url_state
+   * @returns {Object}
+   */
+  currentUrlState() {
+    const isExpanded = Boolean(this.activeCard?.querySelector('.location-card-expanded:not(.hidden)'))
+    return {
+      placeId: this.activePlaceId ? String(this.activePlaceId) : null,
+      expanded: isExpanded,
+      categories: Array.from(this.activeCategories),
+      savedOnly: this.savedOnly,
+      emergency: this.emergencyMode,
+      location: this.manualLocation,
+      area: this.areaCenter,
+      sort: this.sortMode === 'distance' ? null : this.sortMode,
+      view: this.listView ? 'list' : null
+    }
+  }
+
+  /**
+   * Mirrors the page state in the URL
+   * User actions push a history entry (so Back undoes them); passive changes
+   * such as scrolling replace the current one. Passive updates wait while a
+   * selection from the URL is still being restored.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.push=false] - Add a history entry
+   * @returns {void}
+   */
+  syncUrl({ push = false } = {}) {
+    if (push) {
+      this.pendingSelection = null
+    } else if (this.pendingSelection) {
+      return
+    }
+    writeVetsUrlState(this.currentUrlState(), { push })
+  }
+
+  /**
+   * Applies categories, "Saved", emergency mode, sort and view from a URL state (no re-render)
+   * @param {Object} urlState - State from readVetsUrlState
+   * @returns {void}
+   */
+  applyUrlFilters(urlState) {
+    const categoryKeys = Object.keys(MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories)
+    this.activeCategories = new Set(urlState.categories.filter(key => categoryKeys.includes(key)))
+    this.savedOnly = urlState.savedOnly
+    this.setEmergencyMode(urlState.emergency)
+    this.setSortMode(urlState.sort === 'fastest' ? 'fastest' : 'distance')
+    this.listView = urlState.view === 'list'
+  }
+
+  /**
+   * Restores the page when Back/Forward moves between this page's entries
+   * Runs in the capture phase, before Turbo's listener, and stops Turbo from
+   * turning the step into a full restore visit.
+   * @param {PopStateEvent} event
+   * @returns {Promise<void>}
+   */
+  async handlePopState(event) {
+    const state = event.state
+    if (!state?.nearbyVets || state.turbo?.restorationIdentifier !== this.restorationId) return
+    event.stopImmediatePropagation()
+
+    const urlState = readVetsUrlState()
+    // Emergency mode searches differently, so switching it needs a new search
+    const modeChanged = urlState.emergency !== this.emergencyMode
+    this.applyUrlFilters(urlState)
+    this.toggleFilterChips()
+    this.renderViewMode()
+    this.pendingSelection = urlState.placeId ? { placeId: urlState.placeId, expanded: urlState.expanded } : null
+    if (!urlState.placeId) {
+      this.collapseAllCards()
+      this.setHorizontalScrollLock(false)
+    }
+
+    this.refreshDistances()
+    this.applyFilters({ incremental: true })
+
+    try {
+      if (modeChanged || !isSameLocation(urlState.location, this.manualLocation) || (!urlState.area && this.areaCenter)) {
+        const location = urlState.location || (this.manualLocation ? await this.getLocationWithFallback() : this.userLocation)
+        if (!location) return
+        await this.setSearchLocation(location, { manual: Boolean(urlState.location) })
+      }
+      if (urlState.area && !isSameLocation(urlState.area, this.areaCenter)) {
+        await this.searchArea(urlState.area)
+      }
+    } catch (error) {
+      this.handleError(error)
+    }
+  }
+
+  /**
+   * Keeps both the user (fox) and selected place in view with padding
+   * @param {Object} place - selected place
+   */
+  centerActivePlace(place) {
+    if (!this.map || !place?.location || !this.userLocation) return
+
+    const bounds = new google.maps.LatLngBounds()
+    bounds.extend(this.userLocation)
+    bounds.extend(place.location)
 
     this.map.fitBounds(bounds, { padding: 80 })
     // Cap max zoom so we don't go too far in
@@ -451,37 +1472,270 @@ export default class extends Controller {
   }
 
   /**
-   * Error handler for map initialization and API failures
-   * Logs errors to console for debugging
-   *
-   * @param {Error} error - The error object
+   * Error handler for map initialization and API failures
+   * Logs the error and explains it in the error panel (see utils/vets_errors)
+   *
+   * @param {Error} error - The error object
+   * @returns {void}
+   */
+  handleError(error) {
+    console.error("[nearby-vets] Error:", error)
+    const typed = classifyError(error)
+    if (ERROR_PANELS[typed.type]?.listFallback) {
+      this.fallBackToList(typed)
+    } else {
+      this.showError(typed)
+    }
+  }
+
+  /**
+   * Shows the error panel for a typed error
+   * @param {VetsPageError} error - Typed error (see utils/vets_errors)
+   * @returns {void}
+   */
+  showError(error) {
+    this.currentError = error
+    if (!this.hasErrorPanelTarget) return
+
+    const panel = ERROR_PANELS[error.type] || ERROR_PANELS.unknown
+    const element = this.errorPanelTarget
+    element.dataset.errorType = error.type
+    element.querySelector('.vets-error-icon').className = `vets-error-icon fa-solid ${panel.icon}`
+    element.querySelector('.vets-error-title').textContent = t(`errors.${error.type}.title`)
+    element.querySelector('.vets-error-text').textContent = t(`errors.${error.type}.text`)
+    element.querySelector('.vets-error-retry').textContent = t(`errors.${error.type}.retry`)
+    const manualButton = element.querySelector('.vets-error-manual')
+    manualButton.textContent = t("errors.enterAddress")
+    manualButton.classList.toggle('hidden', !panel.offerManual)
+    element.classList.remove('hidden')
+  }
+
+  /**
+   * Hides the error panel
+   * @returns {void}
+   */
+  hideError() {
+    this.currentError = null
+    if (this.hasErrorPanelTarget) this.errorPanelTarget.classList.add('hidden')
+  }
+
+  /**
+   * Retry button of the error panel
+   * Loads the Maps SDK again, reloads the page (rejected key), asks for the
+   * location again or repeats the search, depending on the error type.
+   * @returns {Promise<void>}
+   */
+  async retryAfterError() {
+    const { retry } = ERROR_PANELS[this.currentError?.type] || ERROR_PANELS.unknown
+    this.hideError()
+
+    if (retry === 'reload') {
+      window.location.reload()
+    } else if (retry === 'maps' || retry === 'locate' || !this.userLocation) {
+      // Nothing searched yet: start over (the SDK may not have loaded either)
+      await this.loadMaps()
+      await this.initMap(readVetsUrlState())
+    } else {
+      await this.rerunSearch()
+    }
+  }
+
+  /**
+   * "Enter an address" button of the error panel
+   * @returns {void}
+   */
+  enterAddressAfterError() {
+    this.hideError()
+    this.openLocationPanel()
+  }
+
+  /**
+   * Browser went offline: explain it (results on screen stay usable)
+   * @returns {void}
+   */
+  handleOffline() {
+    this.showError(classifyError(new Error("Browser went offline")))
+  }
+
+  /**
+   * Browser is back online: retry the failed step if its error type allows it
+   * @returns {void}
+   */
+  handleOnline() {
+    if (!this.currentError || !ERROR_PANELS[this.currentError.type]?.autoRetry) return
+    this.retryAfterError()
+  }
+
+  /**
+   * Attempt to get location; if unavailable, open the location panel instead
+   * A denied permission gets the error panel explaining how to allow it.
+   * @returns {Promise<{lat:number, lng:number}|null>} location, or null while waiting for manual entry
+   */
+  async getLocationWithFallback() {
+    try {
+      return await getUserLocation()
+    } catch (error) {
+      const typed = classifyError(error)
+      if (typed.type === 'permissionDenied') {
+        console.warn("Geolocation denied:", error)
+        this.showError(typed)
+        return null
+      }
+      console.warn("Geolocation failed, asking for an address instead:", error)
+      this.openLocationPanel({ hint: t("location.geolocationFailed") })
+      return null
+    }
+  }
+
+  /**
+   * Opens the location panel (address/postcode search + recent locations)
+   * @param {Object|Event} [options] - { hint } text, or the triggering event
+   * @returns {void}
+   */
+  openLocationPanel(options = {}) {
+    if (!this.hasLocationPanelTarget) return
+
+    if (this.hasLocationHintTarget) {
+      this.locationHintTarget.textContent = options.hint || t("location.hint")
+    }
+    this.renderLocationResults([])
+    this.renderRecentLocations()
+    this.locationPanelTarget.classList.remove('hidden')
+    this.locationInputTarget?.focus()
+  }
+
+  /**
+   * Closes the location panel
    * @returns {void}
    */
-  handleError(error) {
-    console.error("[nearby-vets] Error:", error)
+  closeLocationPanel() {
+    if (!this.hasLocationPanelTarget) return
+    this.locationPanelTarget.classList.add('hidden')
   }
 
   /**
-   * Attempt to get location; if denied, prompt for manual lat,lng
-   * @returns {Promise<{lat:number, lng:number}>} resolved location
-   * @throws {Error} when location cannot be determined
+   * Geocodes the address/postcode from the panel form
+   * A single match is applied right away; several are listed to choose from.
+   * @param {Event} event - submit event from the location form
+   * @returns {Promise<void>}
    */
-  async getLocationWithFallback() {
+  async searchLocation(event) {
+    event.preventDefault()
+    const query = this.locationInputTarget.value.trim()
+    if (!query) return
+
+    this.locationHintTarget.textContent = t("location.searching")
     try {
-      return await getUserLocation()
-    } catch (error) {
-      console.warn("Geolocation failed, prompting for manual location:", error)
-      const manual = window.prompt("Standort nicht verfügbar. Bitte Lat,Lng eingeben (z.B. 51.2,6.4):")
-      if (!manual) throw error
-      const parts = manual.split(",").map(p => parseFloat(p.trim()))
-      if (parts.length === 2 && parts.every(n => !isNaN(n))) {
-        return { lat: parts[0], lng: parts[1] }
+      const results = await geocodeAddress(query, { geocoder: this.geocoderValue })
+      if (results.length === 0) {
+        this.locationHintTarget.textContent = t("location.noMatch", { query })
+        this.renderLocationResults([])
+      } else if (results.length === 1) {
+        await this.applyLocationChoice(results[0])
+      } else {
+        this.locationHintTarget.textContent = t("location.pickResult")
+        this.renderLocationResults(results)
       }
-      alert("Ungültiges Format. Bitte zwei Zahlen durch Komma trennen.")
-      throw error
+    } catch (error) {
+      console.error("[nearby-vets] Geocoding failed:", error)
+      this.locationHintTarget.textContent = error instanceof GeocoderUnavailableError
+        ? t("errors.geocoderUnavailable.text")
+        : t("location.searchFailed")
+    }
+  }
+
+  /**
+   * Applies a location picked from geocoding results or the recent list
+   * @param {Event} event - click event from a location option button
+   * @returns {Promise<void>}
+   */
+  async chooseLocation(event) {
+    const { label, lat, lng } = event.currentTarget.dataset
+    await this.applyLocationChoice({ label, location: { lat: parseFloat(lat), lng: parseFloat(lng) } })
+  }
+
+  /**
+   * Retries browser geolocation from the panel
+   * @returns {Promise<void>}
+   */
+  async useCurrentLocation() {
+    try {
+      const location = await getUserLocation()
+      this.closeLocationPanel()
+      const search = this.setSearchLocation(location)
+      this.syncUrl({ push: true })
+      await search
+    } catch (error) {
+      console.warn("[nearby-vets] Geolocation retry failed:", error)
+      this.locationHintTarget.textContent = t("location.stillUnavailable")
+    }
+  }
+
+  /**
+   * Saves the choice to recent locations, closes the panel and searches there
+   * @param {{label:string, location:{lat:number, lng:number}}} choice
+   * @returns {Promise<void>}
+   */
+  async applyLocationChoice(choice) {
+    saveRecentLocation(choice)
+    this.setLiveTracking(false)
+    this.closeLocationPanel()
+    try {
+      const search = this.setSearchLocation(choice.location, { manual: true })
+      this.syncUrl({ push: true })
+      await search
+    } catch (error) {
+      this.handleError(error)
     }
   }
 
+  /**
+   * Renders geocoding matches as buttons
+   * @param {Array} results - Geocoding results
+   * @returns {void}
+   */
+  renderLocationResults(results) {
+    if (!this.hasLocationResultsTarget) return
+    this.locationResultsTarget.replaceChildren(...results.map(result => this.buildLocationOption(result)))
+  }
+
+  /**
+   * Renders the recent locations list
+   * @returns {void}
+   */
+  renderRecentLocations() {
+    if (!this.hasRecentLocationsTarget) return
+    const recent = loadRecentLocations()
+    this.recentLocationsTarget.replaceChildren(...recent.map(entry => this.buildLocationOption(entry, true)))
+    this.recentLocationsTarget.closest('.location-panel-recent')?.classList.toggle('hidden', recent.length === 0)
+  }
+
+  /**
+   * Builds a list item with a button that applies the location
+   * @param {{label:string, location:{lat:number, lng:number}}} entry
+   * @param {boolean} [isRecent=false] - Show the history icon
+   * @returns {HTMLElement}
+   */
+  buildLocationOption(entry, isRecent = false) {
+    const item = document.createElement('li')
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'location-option'
+    button.dataset.action = 'click->nearby-vets#chooseLocation'
+    button.dataset.label = entry.label
+    button.dataset.lat = entry.location.lat
+    button.dataset.lng = entry.location.lng
+
+    const icon = document.createElement('i')
+    icon.className = isRecent ? 'fa-solid fa-clock-rotate-left' : 'fa-solid fa-location-dot'
+    const label = document.createElement('span')
+    label.textContent = entry.label
+
+    button.append(icon, label)
+    item.appendChild(button)
+    return item
+  }
+
   /**
    * Adds distance fields to place
    * @param {Object} place - place object with location data
@@ -490,12 +1744,14 @@ export default class extends Controller {
   addDistance(place) {
     if (!this.userLocation || !place?.location) return place
     const meters = distanceInMeters(this.userLocation, place.location)
-    const km = meters / 1000
-    const rounded = km >= 10 ? km.toFixed(0) : km.toFixed(1)
+    const travelTime = this.travelTimes.get(String(place.id))
     return {
       ...place,
       distanceMeters: meters,
-      distanceText: `Distance: ${rounded} km`
+      distanceText: t("cards.distanceLabel", { distance: formatDistanceLabel(meters) }),
+      travelTime: travelTime ? { ...travelTime, mode: this.travelMode } : null,
+      isSaved: this.isSavedPlace(place),
+      fitReason: speciesFitReason(place, this.speciesProfile)
     }
   }
 
@@ -511,24 +1767,528 @@ export default class extends Controller {
   }
 
   /**
-   * Compute and return filtered places for the active category.
-   * @param {string} category
+   * Whether a place passes the active filters
+   * @param {Object} place
+   * @param {Object} [options={}]
+   * @param {boolean} [options.ignoreCategory=false] - Skip the category filter (used for counts)
+   * @returns {boolean}
+   */
+  placeMatchesFilters(place, { ignoreCategory = false } = {}) {
+    if (!ignoreCategory && this.activeCategories.size > 0 && !this.activeCategories.has(place.category)) return false
+    if (this.savedOnly && !this.isSavedPlace(place)) return false
+    if (this.openNowOnly && !isOpenNow(place)) return false
+    // Emergency mode hides places known to be closed; unknown hours stay (worth a call)
+    if (this.emergencyMode && isClosedNow(place)) return false
+    return true
+  }
+
+  /**
+   * Compute and return places matching the active filters.
    * @returns {Array}
    */
-  filteredPlacesForCategory(category) {
-    if (category === 'all') return this.allPlaces
-    return this.allPlaces.filter(place => place.category === category)
+  filteredPlaces() {
+    return this.allPlaces.filter(place => this.placeMatchesFilters(place))
+  }
+
+  /**
+   * Toggles the "Open now" filter and updates markers/list
+   * @returns {void}
+   */
+  toggleOpenNow() {
+    this.openNowOnly = !this.openNowOnly
+    if (this.hasOpenNowToggleTarget) {
+      this.openNowToggleTarget.classList.toggle('active', this.openNowOnly)
+      this.openNowToggleTarget.setAttribute('aria-pressed', String(this.openNowOnly))
+    }
+
+    this.applyFilters({ fitBounds: true })
+  }
+
+  /**
+   * Toggles 24/7 emergency mode and re-runs the search
+   * Emergency mode searches emergency / 24-hour vets (MAPS_CONFIG.EMERGENCY),
+   * hides closed places, ranks 24/7 places first and makes calling the
+   * card's primary action.
+   * @returns {Promise<void>}
+   */
+  async toggleEmergencyMode() {
+    this.setEmergencyMode(!this.emergencyMode)
+    this.syncUrl({ push: true })
+    await this.rerunSearch()
+  }
+
+  /**
+   * Sets emergency mode and syncs the chip and card styling (no search)
+   * @param {boolean} enabled
+   * @returns {void}
+   */
+  setEmergencyMode(enabled) {
+    this.emergencyMode = enabled
+    if (this.hasEmergencyToggleTarget) {
+      this.emergencyToggleTarget.classList.toggle('active', enabled)
+      this.emergencyToggleTarget.setAttribute('aria-pressed', String(enabled))
+    }
+    this.element.classList.toggle('emergency-mode', enabled)
+  }
+
+  /**
+   * Runs the search again around the current location (e.g. after a mode change)
+   * @returns {Promise<void>}
+   */
+  async rerunSearch() {
+    if (!this.userLocation) return
+    try {
+      await this.setSearchLocation(this.userLocation, { manual: Boolean(this.manualLocation) })
+    } catch (error) {
+      this.handleError(error)
+    }
+  }
+
+  /**
+   * Categories to search in the current mode
+   * @returns {string[]}
+   */
+  searchCategoryKeys() {
+    if (this.emergencyMode) return MAPS_CONFIG.EMERGENCY.categories
+    return Object.keys(MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories)
+  }
+
+  /**
+   * Extra text queries for the search: species-specific plus emergency ones
+   * @returns {Array<{category:string, textQuery:string}>}
+   */
+  searchExtraQueries() {
+    return [
+      ...(this.speciesProfile?.extraQueries || []),
+      ...(this.emergencyMode ? MAPS_CONFIG.EMERGENCY.extraQueries : [])
+    ]
+  }
+
+  /**
+   * Cycles the theme preference (Auto → Light → Dark → High contrast) and saves it
+   * @returns {void}
+   */
+  cycleTheme() {
+    this.themePreference = nextThemePreference(this.themePreference)
+    saveThemePreference(this.themePreference)
+    this.applyTheme()
+  }
+
+  /**
+   * Applies the resolved theme to the page, map, pins and clusters
+   * without recreating the map: inline styles and classic pins are switched
+   * in place, advanced pins restyle through CSS (`data-map-theme`).
+   * @returns {void}
+   */
+  applyTheme() {
+    this.themeName = resolveThemeName(this.themePreference)
+    this.element.dataset.mapTheme = this.themeName
+    applyMapTheme(this.map, this.themeName, { mapId: this.mapIdValue })
+    const { pin } = MAP_THEMES[this.themeName]
+    this.markers.forEach(marker => setVetMarkerPinStyle(marker, pin))
+    this.clusterer?.refreshAppearance()
+
+    if (this.hasThemeToggleTarget) {
+      const theme = MAP_THEMES[this.themeName]
+      const themeLabel = t(`map.themes.${this.themeName}`)
+      const label = this.themePreference === 'system' ? t("map.themeAuto", { theme: themeLabel }) : themeLabel
+      this.themeToggleTarget.querySelector('i').className = `fa-solid ${theme.icon}`
+      this.themeToggleTarget.querySelector('.theme-label').textContent = label
+      this.themeToggleTarget.setAttribute('aria-label', t("map.themeToggleLabel", { theme: label }))
+    }
+  }
+
+  /**
+   * Toggles live location tracking (chip action)
+   * @returns {void}
+   */
+  toggleLiveTracking() {
+    this.setLiveTracking(!this.liveTracking)
+  }
+
+  /**
+   * Turns live location tracking on or off and syncs the chip
+   * @param {boolean} enabled
+   * @returns {void}
+   */
+  setLiveTracking(enabled) {
+    this.liveTracking = enabled
+    if (this.hasLiveToggleTarget) {
+      this.liveToggleTarget.classList.toggle('active', enabled)
+      this.liveToggleTarget.setAttribute('aria-pressed', String(enabled))
+    }
+
+    if (enabled) {
+      this.startLocationWatch()
+    } else {
+      this.stopLocationWatch()
+    }
+  }
+
+  /**
+   * Starts watchPosition unless already watching or the tab is hidden
+   * @returns {void}
+   */
+  startLocationWatch() {
+    if (this.stopWatchingLocation || document.hidden) return
+
+    try {
+      this.stopWatchingLocation = watchUserLocation(
+        (location) => this.handleLivePosition(location),
+        (error) => {
+          console.warn("[nearby-vets] Live location error:", error)
+          if (error.code === error.PERMISSION_DENIED) this.setLiveTracking(false)
+        }
+      )
+    } catch (error) {
+      console.warn("[nearby-vets] Live location unavailable:", error)
+      this.setLiveTracking(false)
+    }
+  }
+
+  /**
+   * Stops watchPosition (live mode itself stays as it is)
+   * @returns {void}
+   */
+  stopLocationWatch() {
+    if (this.stopWatchingLocation) this.stopWatchingLocation()
+    this.stopWatchingLocation = null
+  }
+
+  /**
+   * Pauses the position watch while the tab is hidden and resumes it after
+   * @returns {void}
+   */
+  handleVisibilityChange() {
+    if (!this.liveTracking) return
+    if (document.hidden) {
+      this.stopLocationWatch()
+    } else {
+      this.startLocationWatch()
+    }
+  }
+
+  /**
+   * Moves the fox and refreshes distances once the user moved far enough
+   * @param {{lat:number, lng:number}} location - New position
+   * @returns {void}
+   */
+  handleLivePosition(location) {
+    if (!this.map && !this.listMode) return
+    if (this.userLocation && distanceInMeters(this.userLocation, location) < MAPS_CONFIG.LIVE_TRACKING.minMoveMeters) return
+
+    this.userLocation = location
+    this.userMarker?.setPosition(location)
+    this.refreshDistances()
+    this.updateTravelTimes()
+  }
+
+  /**
+   * Recomputes distances from the current user location and re-sorts cards
+   * Cards are reconciled in place, so the active and expanded cards survive;
+   * the active one is scrolled back to the center after re-ordering.
+   * @returns {void}
+   */
+  refreshDistances() {
+    this.allPlaces = this.allPlaces
+      .map(place => this.addDistance(place))
+      .sort(this.placeComparator())
+    this.places = this.allPlaces
+
+    this.allPlaces.forEach((place) => {
+      const marker = this.markers.get(place.id)
+      if (!marker) return
+      this.markerPlaces.set(marker, place)
+      setVetMarkerTitle(marker, { ...place, markerTitle: this.markerTitleFor(place) })
+    })
+
+    this.renderHorizontalList(this.filteredPlaces(), { incremental: true })
+    this.activeCard?.scrollIntoView({ behavior: 'auto', block: 'nearest', inline: 'center' })
+
+    if (this.activePlaceId && this.infoWindow) {
+      const activePlace = this.allPlaces.find(p => String(p.id) === String(this.activePlaceId))
+      this.infoWindow.setContent(this.infoWindowContentFor(activePlace))
+    }
+  }
+
+  /**
+   * Comparator for the current sort mode
+   * Without "Fastest", places are ranked for the intake species when known.
+   * Saved places always come first, then (in emergency mode) 24/7 places.
+   * @returns {Function}
+   */
+  placeComparator() {
+    let compare = byDistance
+    if (this.sortMode === 'fastest') {
+      compare = byTravelTime
+    } else if (this.speciesProfile) {
+      compare = bySpeciesFit(this.speciesProfile)
+    }
+    // In an emergency, places open around the clock come before the rest
+    const alwaysOpenFirst = this.emergencyMode ? (a, b) => isAlwaysOpen(b) - isAlwaysOpen(a) : () => 0
+    // Saved places are pinned to the front
+    return (a, b) => (this.isSavedPlace(b) - this.isSavedPlace(a)) || alwaysOpenFirst(a, b) || compare(a, b)
+  }
+
+  /**
+   * Fetches travel times from the user to all places and re-renders with ETAs
+   * Results are cached per origin cell + mode by the travel-time service, so
+   * only newly added places trigger requests.
+   * @returns {Promise<void>}
+   */
+  async updateTravelTimes() {
+    if (!this.userLocation || this.allPlaces.length === 0) return
+
+    this.travelTimeService ||= createTravelTimeService({ adapter: this.travelTimeProviderValue })
+    this.syncTravelTimeChips()
+    const key = this.travelTimeService.originKey(this.userLocation, this.travelMode)
+    if (key !== this.travelTimesKey) {
+      // ETAs from another origin or mode would be misleading; drop them right away
+      this.travelTimesKey = key
+      if (this.travelTimes.size > 0) {
+        this.travelTimes = new Map()
+        this.refreshDistances()
+      }
+    }
+
+    const travelTimes = await this.travelTimeService.getTravelTimes(this.userLocation, this.allPlaces, this.travelMode)
+    // The user moved or switched mode meanwhile; a newer call takes over
+    if (key !== this.travelTimesKey) return
+
+    const changed = Array.from(travelTimes.keys()).some(placeId => !this.travelTimes.has(placeId))
+    if (!changed) return
+
+    this.travelTimes = travelTimes
+    this.refreshDistances()
+  }
+
+  /**
+   * Shows the travel mode and "Fastest" chips only while travel times can be
+   * looked up; otherwise the list falls back to sorting by distance
+   * @returns {void}
+   */
+  syncTravelTimeChips() {
+    const available = this.travelTimeService.isAvailable()
+    if (this.hasTravelModeToggleTarget) this.travelModeToggleTarget.classList.toggle('hidden', !available)
+    if (this.hasFastestToggleTarget) this.fastestToggleTarget.classList.toggle('hidden', !available)
+    if (!available && this.sortMode === 'fastest') {
+      this.setSortMode('distance')
+      this.refreshDistances()
+    }
+  }
+
+  /**
+   * Switches travel mode driving → walking → transit (chip action)
+   * @returns {void}
+   */
+  cycleTravelMode() {
+    const modes = Object.keys(MAPS_CONFIG.TRAVEL_TIME.modes)
+    this.travelMode = modes[(modes.indexOf(this.travelMode) + 1) % modes.length]
+    this.updateTravelModeToggle()
+    this.updateTravelTimes()
+  }
+
+  /**
+   * Shows the current travel mode on its chip, e.g. car icon + "Drive"
+   * @returns {void}
+   */
+  updateTravelModeToggle() {
+    if (!this.hasTravelModeToggleTarget) return
+
+    const { icon } = MAPS_CONFIG.TRAVEL_TIME.modes[this.travelMode]
+    const label = t(`travel.modes.${this.travelMode}`)
+    this.travelModeToggleTarget.querySelector('i').className = `fa-solid ${icon}`
+    this.travelModeToggleTarget.querySelector('.travel-mode-label').textContent = label
+    this.travelModeToggleTarget.setAttribute('aria-label', t("travel.toggleLabel", { mode: label }))
+  }
+
+  /**
+   * Switches distance units auto → metric → imperial (chip action) and saves the choice
+   * @returns {void}
+   */
+  cycleDistanceUnits() {
+    saveUnitPreference(nextUnitPreference(loadUnitPreference()))
+    this.updateUnitsToggle()
+    this.refreshDistances()
+  }
+
+  /**
+   * Shows the current unit preference on the units chip, e.g. "Auto (km)"
+   * @returns {void}
+   */
+  updateUnitsToggle() {
+    if (!this.hasUnitsToggleTarget) return
+
+    const preference = loadUnitPreference()
+    const unitsLabel = t(`units.${resolveUnitSystem(preference)}`)
+    const label = preference === 'auto' ? t("units.auto", { units: unitsLabel }) : unitsLabel
+    this.unitsToggleTarget.querySelector('.units-label').textContent = label
+    this.unitsToggleTarget.setAttribute('aria-label', t("units.toggleLabel", { units: label }))
+  }
+
+  /**
+   * Toggles sorting by travel time ("Fastest") vs straight-line distance
+   * @returns {void}
+   */
+  toggleFastestSort() {
+    this.setSortMode(this.sortMode === 'fastest' ? 'distance' : 'fastest')
+    this.refreshDistances()
+    this.syncUrl({ push: true })
+  }
+
+  /**
+   * Sets the sort mode and syncs the "Fastest" chip (no re-render)
+   * @param {'distance'|'fastest'} mode
+   * @returns {void}
+   */
+  setSortMode(mode) {
+    this.sortMode = mode
+    if (this.hasFastestToggleTarget) {
+      const isFastest = mode === 'fastest'
+      this.fastestToggleTarget.classList.toggle('active', isFastest)
+      this.fastestToggleTarget.setAttribute('aria-pressed', String(isFastest))
+    }
+  }
+
+  /**
+   * Re-evaluates open/closed state: badges and (with "Open now" or emergency mode) visibility
+   * @returns {void}
+   */
+  refreshOpenStates() {
+    if (!this.hasHorizontalListTarget || this.allPlaces.length === 0) return
+    if (this.openNowOnly || this.emergencyMode) {
+      this.applyFilters({ incremental: true })
+    } else {
+      this.renderHorizontalList(this.filteredPlaces(), { incremental: true })
+    }
+  }
+
+  /**
+   * Builds the category filter bar from MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories
+   * @returns {void}
+   */
+  renderFilterBar() {
+    if (!this.hasFilterBarTarget) return
+
+    const categories = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories
+    const chips = [
+      this.buildCategoryChip('all', t("filters.all"), null),
+      ...Object.entries(categories).map(([key, category]) => this.buildCategoryChip(key, t(`categories.${key}.name`), category.color)),
+      this.buildSavedChip()
+    ]
+    this.filterBarTarget.replaceChildren(...chips)
+    this.toggleFilterChips()
+    this.updateFilterCounts()
+  }
+
+  /**
+   * Builds one category chip (color dot, name, live count)
+   * @param {string} categoryKey - Category key or 'all'
+   * @param {string} name - Visible name
+   * @param {string|null} color - Category color (no dot when null)
+   * @returns {HTMLElement}
+   */
+  buildCategoryChip(categoryKey, name, color) {
+    const chip = document.createElement('button')
+    chip.type = 'button'
+    chip.className = 'filter-chip category-chip'
+    chip.dataset.category = categoryKey
+    chip.dataset.action = 'click->nearby-vets#filterByCategory'
+
+    if (color) {
+      const dot = document.createElement('span')
+      dot.className = 'chip-dot'
+      dot.style.background = color
+      dot.setAttribute('aria-hidden', 'true')
+      chip.appendChild(dot)
+    }
+
+    const label = document.createElement('span')
+    label.textContent = name
+    const count = document.createElement('span')
+    count.className = 'chip-count'
+    chip.append(label, count)
+    return chip
+  }
+
+  /**
+   * Builds the "Saved" chip shown after the category chips
+   * @returns {HTMLElement}
+   */
+  buildSavedChip() {
+    const chip = document.createElement('button')
+    chip.type = 'button'
+    chip.className = 'filter-chip saved-chip'
+    chip.dataset.action = 'click->nearby-vets#toggleSavedOnly'
+
+    const icon = document.createElement('i')
+    icon.className = 'fa-solid fa-star'
+    icon.setAttribute('aria-hidden', 'true')
+    const label = document.createElement('span')
+    label.textContent = t("filters.saved")
+    const count = document.createElement('span')
+    count.className = 'chip-count'
+    chip.append(icon, label, count)
+    return chip
+  }
+
+  /**
+   * Toggles the "Saved" filter (combines with the category filters)
+   * @returns {void}
+   */
+  toggleSavedOnly() {
+    this.savedOnly = !this.savedOnly
+    this.toggleFilterChips()
+    this.applyFilters({ fitBounds: true })
+    this.syncUrl({ push: true })
+  }
+
+  /**
+   * Updates the per-category counts (other filters such as "Open now" apply)
+   * @returns {void}
+   */
+  updateFilterCounts() {
+    if (!this.hasFilterBarTarget) return
+
+    const counts = { all: 0 }
+    this.allPlaces
+      .filter(place => this.placeMatchesFilters(place, { ignoreCategory: true }))
+      .forEach((place) => {
+        counts.all += 1
+        counts[place.category] = (counts[place.category] || 0) + 1
+      })
+
+    this.filterBarTarget.querySelectorAll('.category-chip').forEach((chip) => {
+      const count = counts[chip.dataset.category] || 0
+      const name = chip.querySelector('span:not(.chip-dot):not(.chip-count)')?.textContent
+      chip.querySelector('.chip-count').textContent = String(count)
+      chip.setAttribute('aria-label', t("filters.chipLabel", { name, count }))
+    })
+
+    const savedChip = this.filterBarTarget.querySelector('.saved-chip')
+    if (savedChip) {
+      const count = this.allPlaces.filter(place => this.isSavedPlace(place) && this.placeMatchesFilters(place)).length
+      savedChip.querySelector('.chip-count').textContent = String(count)
+      savedChip.setAttribute('aria-label', t("filters.chipLabel", { name: t("filters.saved"), count }))
+    }
   }
 
   /**
-   * Toggle filter chip active state based on selected category.
-   * @param {string} category
+   * Syncs the pressed state of the category chips with the selection
    * @returns {void}
    */
-  toggleFilterChips(category) {
-    document.querySelectorAll('.filter-chip').forEach(chip => {
-      chip.classList.toggle('active', chip.dataset.category === category)
+  toggleFilterChips() {
+    if (!this.hasFilterBarTarget) return
+    this.filterBarTarget.querySelectorAll('.category-chip').forEach((chip) => {
+      const category = chip.dataset.category
+      const isActive = category === 'all' ? this.activeCategories.size === 0 : this.activeCategories.has(category)
+      chip.classList.toggle('active', isActive)
+      chip.setAttribute('aria-pressed', String(isActive))
     })
+
+    const savedChip = this.filterBarTarget.querySelector('.saved-chip')
+    savedChip?.classList.toggle('active', this.savedOnly)
+    savedChip?.setAttribute('aria-pressed', String(this.savedOnly))
   }
 
 }
@@ -1,4 +1,5 @@
 import { Controller } from "@hotwired/stimulus"
+import { formatNumber } from "utils/i18n"
 
 /**
  * PhotoUploadController
@@ -71,12 +72,17 @@ export default class extends Controller {
   }
 
   /**
-   * Format file size in KB with one decimal.
+   * Format file size in KB with one decimal (in the UI locale).
    *
    * @param {number} bytes - file size in bytes
-   * @returns {string} formatted size label (e.g., "12.3 KB")
+   * @returns {string} formatted size label (e.g., "12.3 kB")
    */
   formatFileSizeKB(bytes) {
-    return `${(bytes / 1024).toFixed(1)} KB`
+    return formatNumber(bytes / 1024, {
+      style: 'unit',
+      unit: 'kilobyte',
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1
+    })
   }
 }
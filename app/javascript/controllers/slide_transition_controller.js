@@ -1,8 +1,8 @@
 import { Controller } from "@hotwired/stimulus"
 import { animateWelcomePageEntrance, slideCardTransition } from "utils/slide_animations"
+import { t } from "utils/i18n"
 
 const MIN_DESCRIPTION_LENGTH = 10
-const INSUFFICIENT_DESCRIPTION_MESSAGE = "Please provide more details."
 
 /**
  * SlideTransitionController
@@ -96,7 +96,7 @@ export default class extends Controller {
           descriptionField.classList.remove('is-invalid')
           descriptionField.setCustomValidity('')
         } else {
-          descriptionField.setCustomValidity(INSUFFICIENT_DESCRIPTION_MESSAGE)
+          descriptionField.setCustomValidity(t("intake.descriptionTooShort"))
         }
       })
     }
@@ -146,7 +146,7 @@ export default class extends Controller {
       isValid = false
       if (descriptionField) {
         descriptionField.classList.add('is-invalid')
-        descriptionField.setCustomValidity(INSUFFICIENT_DESCRIPTION_MESSAGE)
+        descriptionField.setCustomValidity(t("intake.descriptionTooShort"))
         descriptionField.reportValidity()
         if (!firstInvalidField) {
           firstInvalidField = descriptionField
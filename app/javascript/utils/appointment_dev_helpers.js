@@ -1,3 +1,5 @@
+import { t } from "utils/i18n"
+
 /**
  * Utilities for local development appointment flows.
  * Provides a mock confirmation path to avoid triggering real calls in dev.
@@ -13,13 +15,13 @@
 export function simulateDevAppointment(statusElement, notesElement) {
   return setTimeout(() => {
     if (statusElement) {
-      statusElement.textContent = "✅ Appointment confirmed!"
+      statusElement.textContent = t("appointment.confirmed")
       statusElement.classList.remove('calling')
       statusElement.classList.add('success')
       statusElement.classList.remove('hidden')
     }
     if (notesElement) {
-      notesElement.innerHTML = "The animal can come tomorrow at 2pm, cost is 50 dollars."
+      notesElement.textContent = t("appointment.devNotes")
       notesElement.classList.remove('hidden')
     }
   }, 10000)
@@ -1,3 +1,6 @@
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { formatNumber, getLocale } from "utils/i18n"
+
 /**
  * Shared distance utilities for mapping features.
  */
@@ -37,18 +40,133 @@ export function distanceInMeters(origin, destination) {
   return R * c // final distance in meters
 }
 
+const UNIT_STORAGE_KEY = "ff-resq:distance-units"
+const UNIT_PREFERENCES = ["auto", "metric", "imperial"]
+
+let unitPreference = null
+
+/**
+ * Reads the saved unit preference
+ *
+ * @returns {'auto'|'metric'|'imperial'}
+ */
+export function loadUnitPreference() {
+  if (unitPreference) return unitPreference
+  try {
+    const saved = window.localStorage.getItem(UNIT_STORAGE_KEY)
+    unitPreference = UNIT_PREFERENCES.includes(saved) ? saved : MAPS_CONFIG.DISTANCE_UNITS.default
+  } catch (error) {
+    unitPreference = MAPS_CONFIG.DISTANCE_UNITS.default
+  }
+  return unitPreference
+}
+
+/**
+ * Saves the unit preference; later labels use it right away
+ *
+ * @param {'auto'|'metric'|'imperial'} preference
+ * @returns {void}
+ */
+export function saveUnitPreference(preference) {
+  unitPreference = preference
+  try {
+    window.localStorage.setItem(UNIT_STORAGE_KEY, preference)
+  } catch (error) {
+    console.warn("[distance_utils] Could not persist unit preference:", error)
+  }
+}
+
+/**
+ * Next preference in the units chip's cycle (auto → metric → imperial)
+ *
+ * @param {string} preference - Current preference
+ * @returns {string}
+ */
+export function nextUnitPreference(preference) {
+  const index = UNIT_PREFERENCES.indexOf(preference)
+  return UNIT_PREFERENCES[(index + 1) % UNIT_PREFERENCES.length]
+}
+
 /**
- * Format a distance label in km (1 decimal under 10km, whole km otherwise).
+ * Region of a locale tag
+ *
+ * @param {string} locale - Locale tag, e.g. "en-GB"
+ * @param {Object} [options={}]
+ * @param {boolean} [options.likely=false] - Fall back to the language's likely region ("en" → US)
+ * @returns {string|null} Region code, or null when the tag has none or is malformed
+ */
+function regionOf(locale, { likely = false } = {}) {
+  try {
+    const parsed = new Intl.Locale(locale)
+    return (likely ? parsed.maximize() : parsed).region || null
+  } catch {
+    // e.g. "en-" from a hand-edited Accept-Language header
+    return null
+  }
+}
+
+/**
+ * Resolves a preference to a unit system
+ * "auto" uses the region of the UI locale, then of the browser language,
+ * then the likely region of the language ("en" → US); metric when none is known.
+ *
+ * @param {string} [preference=loadUnitPreference()]
+ * @returns {'metric'|'imperial'}
+ */
+export function resolveUnitSystem(preference = loadUnitPreference()) {
+  if (preference === 'metric' || preference === 'imperial') return preference
+
+  const region = [getLocale(), navigator.language]
+    .filter(Boolean)
+    .map(locale => regionOf(locale))
+    .find(Boolean) || regionOf(getLocale(), { likely: true })
+
+  return MAPS_CONFIG.DISTANCE_UNITS.imperialRegions.includes(region) ? 'imperial' : 'metric'
+}
+
+/**
+ * Format a search radius in whole km or miles for the UI locale (e.g. "8 km", "5 mi").
  *
  * @param {number} meters
  * @param {Object} [options]
- * @param {string} [options.suffix=" km"] - suffix to append
+ * @param {'metric'|'imperial'} [options.units] - defaults to the resolved preference
+ * @returns {string}
+ */
+export function formatRadiusLabel(meters, { units = resolveUnitSystem() } = {}) {
+  const system = MAPS_CONFIG.DISTANCE_UNITS.systems[units]
+  const value = Math.max(1, Math.round(meters / system.metersPerUnit))
+  return formatNumber(value, { style: 'unit', unit: system.unit })
+}
+
+/**
+ * Format a distance for the UI locale and unit system: metres / feet for short
+ * distances, otherwise km / miles with 1 decimal under 10 and whole units
+ * above, e.g. "350 m", "1,2 km", "0.8 mi", "400 ft".
+ * The single formatter behind cards, marker titles and info windows.
+ *
+ * @param {number} meters
+ * @param {Object} [options]
+ * @param {'metric'|'imperial'} [options.units] - defaults to the resolved preference
  * @returns {string|null}
  */
-export function formatDistanceLabel(meters, options = {}) {
+export function formatDistanceLabel(meters, { units = resolveUnitSystem() } = {}) {
   if (!isFinite(meters)) return null
-  const km = meters / 1000
-  const rounded = km >= 10 ? km.toFixed(0) : km.toFixed(1)
-  const suffix = options.suffix ?? " km"
-  return `${rounded}${suffix}`
+  const { systems, smallStep } = MAPS_CONFIG.DISTANCE_UNITS
+  const system = systems[units]
+  const value = meters / system.metersPerUnit
+
+  // Rounding may carry a short distance over the threshold (995 m → "1,000 m"); show it in the large unit then
+  const small = Math.max(smallStep, Math.round(meters / system.metersPerSmallUnit / smallStep) * smallStep)
+  if (small * system.metersPerSmallUnit < system.smallBelow * system.metersPerUnit) {
+    return formatNumber(small, { style: 'unit', unit: system.smallUnit })
+  }
+
+  // Decide on the rounded value so 9.96 shows as "10", not "10.0"
+  const digits = Math.round(value * 10) >= 100 ? 0 : 1
+  return formatNumber(value, {
+    style: 'unit',
+    unit: system.unit,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  })
 }
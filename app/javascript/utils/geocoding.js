@@ -0,0 +1,151 @@
+// app/javascript/utils/geocoding.js
+
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { GeocoderUnavailableError } from "utils/vets_errors"
+
+/**
+ * Geocoding Adapters
+ *
+ * Turns an address or postcode into candidate locations. Like the places
+ * providers, every adapter exposes the same interface:
+ *
+ *   {
+ *     name: string,
+ *     isAvailable(): boolean,
+ *     geocode(query): Promise<Array<{ label: string, location: {lat, lng} }>>
+ *   }
+ *
+ * The stub adapter works without any API key: it understands raw "lat,lng"
+ * input and matches a small local fixture of addresses/postcodes. It is for
+ * development only and never stands in for an unavailable geocoder.
+ */
+
+/**
+ * Parses "51.2, 6.4" style input
+ *
+ * @param {string} query
+ * @returns {{lat:number, lng:number}|null}
+ */
+export function parseCoordinates(query) {
+  const match = String(query).trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/)
+  if (!match) return null
+
+  const lat = parseFloat(match[1])
+  const lng = parseFloat(match[2])
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return { lat, lng }
+}
+
+// -----------------------------------------------------------------------------
+// Google Geocoder adapter
+// -----------------------------------------------------------------------------
+
+const googleGeocoder = {
+  name: 'google',
+  isAvailable: () => Boolean(window.google?.maps?.Geocoder),
+
+  async geocode(query) {
+    let results
+    try {
+      ({ results } = await new google.maps.Geocoder().geocode({ address: query }))
+    } catch (error) {
+      // The promise rejects when nothing matches; that is an empty result, not a failure
+      if (error?.code === "ZERO_RESULTS") return []
+      throw error
+    }
+    return (results || []).map(result => ({
+      label: result.formatted_address,
+      location: {
+        lat: result.geometry.location.lat(),
+        lng: result.geometry.location.lng()
+      }
+    }))
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Local stub adapter (coordinates + fixture lookup)
+// -----------------------------------------------------------------------------
+
+let stubEntries = null
+
+/**
+ * Loads (once) the stub fixture
+ *
+ * @returns {Promise<Array>} Entries of { label, postcode?, location }
+ */
+async function loadStubEntries() {
+  if (stubEntries) return stubEntries
+  if (!MAPS_CONFIG.GEOCODING.stubUrl) return []
+
+  try {
+    const response = await fetch(MAPS_CONFIG.GEOCODING.stubUrl, { headers: { "Accept": "application/json" } })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    stubEntries = await response.json()
+  } catch (error) {
+    console.warn("[geocoding] Stub fixture unavailable:", error)
+    stubEntries = []
+  }
+  return stubEntries
+}
+
+const stubGeocoder = {
+  name: 'stub',
+  isAvailable: () => true,
+
+  async geocode(query) {
+    const coordinates = parseCoordinates(query)
+    if (coordinates) {
+      return [{ label: `${coordinates.lat.toFixed(4)}, ${coordinates.lng.toFixed(4)}`, location: coordinates }]
+    }
+
+    const needle = String(query).trim().toLowerCase()
+    if (!needle) return []
+
+    const entries = await loadStubEntries()
+    return entries.filter(entry =>
+      entry.label?.toLowerCase().includes(needle) || entry.postcode?.toLowerCase() === needle
+    )
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Registry
+// -----------------------------------------------------------------------------
+
+const GEOCODERS = {
+  google: googleGeocoder,
+  stub: stubGeocoder
+}
+
+/**
+ * Returns the geocoding adapter for the given name
+ *
+ * @param {string} [name] - Adapter name (google | stub)
+ * @returns {Object|null} Geocoding adapter, or null when unknown or unavailable
+ */
+export function getGeocoder(name = MAPS_CONFIG.GEOCODING.default) {
+  const geocoder = GEOCODERS[name]
+  return geocoder && geocoder.isAvailable() ? geocoder : null
+}
+
+/**
+ * Geocodes an address, postcode or "lat,lng" string
+ * Coordinates are always parsed locally, whatever the adapter.
+ *
+ * @param {string} query - User input
+ * @param {Object} [options={}]
+ * @param {string} [options.geocoder] - Adapter name
+ * @returns {Promise<Array<{label:string, location:{lat:number, lng:number}}>>} Empty when nothing matches
+ * @throws {GeocoderUnavailableError} When the geocoder is unavailable (e.g. the Maps SDK failed)
+ */
+export async function geocodeAddress(query, options = {}) {
+  const coordinates = parseCoordinates(query)
+  if (coordinates) return stubGeocoder.geocode(query)
+
+  const geocoder = getGeocoder(options.geocoder)
+  if (!geocoder) throw new GeocoderUnavailableError(`Geocoder "${options.geocoder}" unavailable`)
+
+  const results = await geocoder.geocode(query)
+  return results.slice(0, MAPS_CONFIG.GEOCODING.maxResults)
+}
@@ -0,0 +1,153 @@
+// app/javascript/utils/google_maps_loader.js
+
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { MapsUnavailableError, InvalidApiKeyError } from "utils/vets_errors"
+
+/**
+ * Google Maps SDK Loader
+ *
+ * Injects the Maps JS SDK once and resolves when it is ready:
+ *
+ *   await loadGoogleMaps({ apiKey, libraries: ["marker", "places"] })
+ *
+ * Rejects with a typed error (utils/vets_errors) when the script fails to
+ * load or does not become ready within MAPS_CONFIG.SDK.timeoutMs
+ * (MapsUnavailableError), or when there is no key or Google rejects it
+ * (InvalidApiKeyError). After a rejection the next call injects a fresh
+ * script, so calling it again is the retry.
+ *
+ * Libraries requested by a later call are added with google.maps.importLibrary.
+ */
+
+const SCRIPT_ID = "google-maps-sdk"
+const READY_CALLBACK = "__ffResqGoogleMapsReady"
+
+// Pending or resolved load; reset after a failure so the next call retries
+let loading = null
+// Called when Google reports an auth failure, which can happen after the load resolved
+const authFailureListeners = new Set()
+
+/**
+ * Whether the core SDK is ready
+ *
+ * @returns {boolean}
+ */
+function isCoreReady() {
+  return Boolean(window.google?.maps?.Map)
+}
+
+/**
+ * Google calls window.gm_authFailure for invalid, restricted or unbilled keys
+ *
+ * @returns {void}
+ */
+function installAuthFailureHook() {
+  window.gm_authFailure = () => {
+    const error = new InvalidApiKeyError("Google Maps rejected the API key (gm_authFailure)")
+    authFailureListeners.forEach(listener => listener(error))
+  }
+}
+
+/**
+ * Injects the SDK script and waits for its ready callback
+ *
+ * @param {string} apiKey
+ * @param {string[]} libraries
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+function injectScript(apiKey, libraries, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    document.getElementById(SCRIPT_ID)?.remove()
+
+    let timer = null
+    const settle = (error) => {
+      clearTimeout(timer)
+      authFailureListeners.delete(onAuthFailure)
+      delete window[READY_CALLBACK]
+      if (!error) return resolve()
+      script.remove()
+      reject(error)
+    }
+    const onAuthFailure = error => settle(error)
+
+    const params = new URLSearchParams({ key: apiKey, loading: "async", callback: READY_CALLBACK })
+    if (libraries.length > 0) params.set("libraries", libraries.join(","))
+
+    const script = document.createElement("script")
+    script.id = SCRIPT_ID
+    script.async = true
+    script.src = `${MAPS_CONFIG.SDK.url}?${params}`
+    script.onerror = () => settle(new MapsUnavailableError("Google Maps SDK script failed to load"))
+
+    window[READY_CALLBACK] = () => settle()
+    authFailureListeners.add(onAuthFailure)
+    timer = setTimeout(() => {
+      settle(new MapsUnavailableError(`Google Maps SDK not ready after ${timeoutMs} ms`))
+    }, timeoutMs)
+
+    document.head.appendChild(script)
+  })
+}
+
+/**
+ * Loads libraries into an already loaded SDK
+ *
+ * @param {string[]} libraries
+ * @returns {Promise<void>}
+ */
+async function importLibraries(libraries) {
+  if (!window.google.maps.importLibrary) return
+  try {
+    await Promise.all(libraries.map(library => window.google.maps.importLibrary(library)))
+  } catch (error) {
+    throw new MapsUnavailableError("Google Maps libraries failed to load", { cause: error })
+  }
+}
+
+/**
+ * Loads the Maps JS SDK (once) with the given libraries
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.apiKey] - Maps JS API key
+ * @param {string[]} [options.libraries=MAPS_CONFIG.SDK.libraries] - SDK libraries the page needs
+ * @param {number} [options.timeoutMs=MAPS_CONFIG.SDK.timeoutMs] - Rejects when not ready by then
+ * @returns {Promise<void>} Resolves when google.maps and the libraries are ready
+ * @throws {MapsUnavailableError|InvalidApiKeyError}
+ */
+export async function loadGoogleMaps({
+  apiKey,
+  libraries = MAPS_CONFIG.SDK.libraries,
+  timeoutMs = MAPS_CONFIG.SDK.timeoutMs
+} = {}) {
+  if (!loading) {
+    if (isCoreReady()) {
+      loading = Promise.resolve()
+    } else if (!apiKey) {
+      throw new InvalidApiKeyError("No Google Maps API key configured")
+    } else {
+      installAuthFailureHook()
+      loading = injectScript(apiKey, libraries, timeoutMs)
+    }
+  }
+
+  try {
+    await loading
+  } catch (error) {
+    loading = null
+    throw error
+  }
+  await importLibraries(libraries)
+}
+
+/**
+ * Calls back when Google rejects the API key after the SDK loaded
+ * (e.g. on the first map or places request)
+ *
+ * @param {Function} listener - Called with an InvalidApiKeyError
+ * @returns {Function} Stops listening
+ */
+export function onGoogleMapsAuthFailure(listener) {
+  authFailureListeners.add(listener)
+  return () => authFailureListeners.delete(listener)
+}
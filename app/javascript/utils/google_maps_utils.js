@@ -1,92 +1,17 @@
 // app/javascript/utils/google_maps_utils.js
 
-import { MAPS_CONFIG, getUserMarkerIcon, getVetMarkerIcon } from "config/google_maps_config"
-
-// Fallback list of fields to request from Google Places when config is missing/invalid
-const DEFAULT_PLACE_FIELDS = [
-  "displayName",
-  "location",
-  "formattedAddress",
-  "rating",
-  "id",
-  "types",
-  "regularOpeningHours"
-]
-
-// Simple haversine distance (meters) for client-side radius filtering
-function distanceInMeters(origin, destination) {
-  if (!origin || !destination) return Infinity
-
-  const toRad = (deg) => (deg * Math.PI) / 180
-  const originLat = typeof origin.lat === 'function' ? origin.lat() : origin.lat
-  const originLng = typeof origin.lng === 'function' ? origin.lng() : origin.lng
-  const destLat = typeof destination.lat === 'function' ? destination.lat() : destination.lat
-  const destLng = typeof destination.lng === 'function' ? destination.lng() : destination.lng
-
-  if ([originLat, originLng, destLat, destLng].some((v) => typeof v !== 'number')) return Infinity
-
-  const R = 6371000 // Earth radius in meters
-  const dLat = toRad(destLat - originLat)
-  const dLng = toRad(destLng - originLng)
-  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(originLat)) * Math.cos(toRad(destLat)) * Math.sin(dLng / 2) ** 2
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-  return R * c
-}
-
-function filterByRadius(places, userLocation, maxRadiusMeters) {
-  if (!maxRadiusMeters) return places
-  return places.filter((place) => distanceInMeters(userLocation, place.location) <= maxRadiusMeters)
-}
+import { MAPS_CONFIG, getUserMarkerIcon } from "config/google_maps_config"
+import { getPlacesProvider } from "utils/places_providers"
+import { t } from "utils/i18n"
 
 /**
  * Google Maps Utility Functions
  *
  * Reusable functions for working with Google Maps API.
- * These utilities handle common map operations like marker creation,
- * place searches, and script loading.
+ * These utilities handle common map operations like marker creation
+ * and place searches (the SDK itself is loaded by utils/google_maps_loader).
  */
 
-/**
- * Waits for Google Maps API to be loaded and ready
- * Handles cases where the script is already loaded or still loading
- * Uses polling to ensure google.maps.Map is actually available
- *
- * @returns {Promise<void>} Resolves when Google Maps is ready
- */
-export function waitForGoogleMaps() {
-  return new Promise((resolve) => {
-    // If Google Maps API is fully loaded and Map constructor exists
-    if (window.google && window.google.maps && window.google.maps.Map) {
-      resolve()
-      return
-    }
-
-    // Poll for google.maps.Map availability (max 10 seconds)
-    const maxAttempts = 100
-    let attempts = 0
-
-    const checkGoogleMaps = () => {
-      attempts++
-
-      if (window.google && window.google.maps && window.google.maps.Map) {
-        resolve()
-        return
-      }
-
-      if (attempts >= maxAttempts) {
-        console.error("Google Maps failed to load after 10 seconds")
-        resolve() // Resolve anyway to prevent hanging
-        return
-      }
-
-      // Check again in 100ms
-      setTimeout(checkGoogleMaps, 100)
-    }
-
-    checkGoogleMaps()
-  })
-}
-
 /**
  * Creates a marker for the user's current location
  * Uses standard Marker API (works with inline styles for dark mode)
@@ -96,9 +21,11 @@ export function waitForGoogleMaps() {
  * @param {number} location.lat - Latitude
  * @param {number} location.lng - Longitude
  * @param {string} [iconUrl] - Optional custom icon URL (from Rails asset pipeline)
+ * @param {Object} [options={}]
+ * @param {boolean} [options.draggable=false] - Let the user drag the marker to correct their position
  * @returns {google.maps.Marker} The created marker instance
  */
-export function createUserMarker(map, location, iconUrl = null) {
+export function createUserMarker(map, location, iconUrl = null, options = {}) {
   const iconConfig = iconUrl
     ? { ...getUserMarkerIcon(), url: iconUrl }
     : getUserMarkerIcon()
@@ -106,7 +33,8 @@ export function createUserMarker(map, location, iconUrl = null) {
   return new google.maps.Marker({
     map: map,
     position: location,
-    title: MAPS_CONFIG.MARKERS.userMarkerTitle,
+    title: t("map.userMarker"),
+    draggable: Boolean(options.draggable),
     icon: {
       url: iconConfig.url,
       scaledSize: iconConfig.scaledSize,
@@ -116,35 +44,194 @@ export function createUserMarker(map, location, iconUrl = null) {
 }
 
 /**
- * Creates a marker for a veterinary location
- * Uses standard Marker API (works with inline styles for dark mode)
+ * Builds the HTML pin for a place: a teardrop in the category color with the
+ * category icon. Styling lives in components/_maps.scss (.place-pin).
  *
- * @param {google.maps.Map} map - The map instance to add the marker to
- * @param {Object} place - Place object from Google Places API
+ * @param {Object} place - Normalized place with category metadata
+ * @returns {HTMLElement} Pin element
+ */
+function buildPlacePin(place) {
+  const category = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories[place.category] || {}
+  const pin = document.createElement('div')
+  pin.className = `place-pin category-${place.category || 'other'}`
+  pin.style.setProperty('--pin-color', place.categoryColor || category.color || MAPS_CONFIG.MARKERS.fallbackColor)
+
+  const icon = document.createElement('i')
+  icon.className = `fa-solid ${category.icon || MAPS_CONFIG.MARKERS.fallbackIcon}`
+  icon.setAttribute('aria-hidden', 'true')
+  pin.appendChild(icon)
+  return pin
+}
+
+/**
+ * Accessible marker label, e.g. "Tierarzt Mitte, Vets, Distance: 1.2 km"
+ *
+ * @param {Object} place - Place (optionally with markerTitle)
+ * @returns {string}
+ */
+function placeMarkerLabel(place) {
+  const categoryName = place.category ? t(`categories.${place.category}.name`) : null
+  return [place.markerTitle || place.displayName, categoryName].filter(Boolean).join(', ')
+}
+
+/**
+ * Icon for a classic place pin (maps without a Map ID): a teardrop in the
+ * category color with a dot; the active pin is larger and highlighted
+ *
+ * @param {Object} pin - Pin state
+ * @param {string} pin.color - Category color
+ * @param {boolean} pin.isActive
+ * @param {Object} pin.pinStyle - Outline and active color (see MAP_THEMES pin)
+ * @returns {google.maps.Icon}
+ */
+function buildLegacyPinIcon({ color, isActive, pinStyle }) {
+  const { strokeColor, strokeWidth, activeColor } = pinStyle
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="48" viewBox="-2 -2 36 52">
+    <path d="M16 0C7.163 0 0 7.163 0 16c0 11 16 32 16 32s16-21 16-32C32 7.163 24.837 0 16 0z" fill="${isActive ? activeColor : color}" stroke="${strokeColor}" stroke-width="${strokeWidth}"/>
+    <circle cx="16" cy="16" r="6" fill="${strokeColor}"/>
+  </svg>`
+  const scale = isActive ? 1.25 : 1
+
+  return {
+    url: `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`,
+    scaledSize: new google.maps.Size(32 * scale, 48 * scale),
+    anchor: new google.maps.Point(16 * scale, 48 * scale)
+  }
+}
+
+// State of each classic place pin, to redraw its icon: { color, isActive, pinStyle }
+const legacyPins = new WeakMap()
+
+/**
+ * Redraws a classic place pin after its state changed
+ *
+ * @param {google.maps.Marker} marker - Classic place marker
+ * @param {Object} changes - Changed pin state (isActive, pinStyle)
+ * @returns {void}
+ */
+function updateLegacyPin(marker, changes) {
+  const pin = { ...legacyPins.get(marker), ...changes }
+  legacyPins.set(marker, pin)
+  marker.setIcon(buildLegacyPinIcon(pin))
+}
+
+/**
+ * Creates a marker for an animal service location
+ * With a Map ID this is an AdvancedMarkerElement with a per-category HTML
+ * pin; without one (advanced: false) a classic google.maps.Marker with an
+ * SVG pin in the category color, which works with the inline MAP_STYLES.
+ * Both are clickable and keyboard focusable; the title doubles as the
+ * accessible label.
+ *
+ * @param {google.maps.Map|null} map - The map instance to add the marker to (null: managed by the clusterer)
+ * @param {Object} place - Normalized place
  * @param {Object} place.location - Place location (LatLng object)
- * @param {string} place.displayName - Name of the veterinary location
- * @returns {google.maps.Marker|null} The created marker instance, or null if location is missing
+ * @param {string} place.displayName - Name of the location
+ * @param {string} [place.category] - Category key (vets, shelters, rescue)
+ * @param {string} [place.markerTitle] - Title override (e.g. with distance)
+ * @param {Object} [options={}]
+ * @param {boolean} [options.advanced=true] - Use an advanced marker (the map has a Map ID)
+ * @param {Object} [options.pinStyle] - Classic pin outline and active color (defaults to MAPS_CONFIG.MARKERS.legacyPin)
+ * @returns {google.maps.marker.AdvancedMarkerElement|google.maps.Marker|null} The created marker instance, or null if location is missing
  */
-export function createVetMarker(map, place) {
+export function createVetMarker(map, place, { advanced = true, pinStyle = MAPS_CONFIG.MARKERS.legacyPin } = {}) {
   if (!place.location) {
     console.warn("Place is missing location data:", place)
     return null
   }
 
-  const iconConfig = getVetMarkerIcon()
+  if (!advanced) {
+    const category = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories[place.category] || {}
+    const pin = { color: place.categoryColor || category.color || MAPS_CONFIG.MARKERS.fallbackColor, isActive: false, pinStyle }
+    const marker = new google.maps.Marker({
+      map: map,
+      position: place.location,
+      title: placeMarkerLabel(place),
+      icon: buildLegacyPinIcon(pin),
+      optimized: false
+    })
+    legacyPins.set(marker, pin)
+    return marker
+  }
 
-  return new google.maps.Marker({
+  return new google.maps.marker.AdvancedMarkerElement({
     map: map,
     position: place.location,
-    title: place.markerTitle || place.displayName,
-    icon: {
-      url: iconConfig.url,
-      scaledSize: iconConfig.scaledSize,
-      anchor: iconConfig.anchor
-    }
+    title: placeMarkerLabel(place),
+    content: buildPlacePin(place),
+    gmpClickable: true
   })
 }
 
+/**
+ * Updates the title/accessible label of a place marker
+ *
+ * @param {google.maps.marker.AdvancedMarkerElement|google.maps.Marker} marker - Place marker
+ * @param {Object} place - Place (optionally with markerTitle)
+ * @returns {void}
+ */
+export function setVetMarkerTitle(marker, place) {
+  if (legacyPins.has(marker)) {
+    marker.setTitle(placeMarkerLabel(place))
+    return
+  }
+  marker.title = placeMarkerLabel(place)
+}
+
+/**
+ * Toggles the active (selected) look of a place marker and keeps it on top
+ *
+ * @param {google.maps.marker.AdvancedMarkerElement|google.maps.Marker} marker - Place marker
+ * @param {boolean} isActive
+ * @returns {void}
+ */
+export function setVetMarkerActive(marker, isActive) {
+  const zIndex = isActive ? MAPS_CONFIG.MARKERS.activeZIndex : null
+  if (legacyPins.has(marker)) {
+    updateLegacyPin(marker, { isActive })
+    marker.setZIndex(zIndex)
+    return
+  }
+
+  marker.content?.classList.toggle('active', isActive)
+  marker.zIndex = zIndex
+}
+
+/**
+ * Restyles a classic place pin for another map theme
+ * Advanced pins follow the theme through CSS and are left alone.
+ *
+ * @param {google.maps.marker.AdvancedMarkerElement|google.maps.Marker} marker - Place marker
+ * @param {Object} pinStyle - Outline and active color (see MAP_THEMES pin)
+ * @returns {void}
+ */
+export function setVetMarkerPinStyle(marker, pinStyle) {
+  if (legacyPins.has(marker)) updateLegacyPin(marker, { pinStyle })
+}
+
+/**
+ * Briefly bounces a marker (place pin, or a legacy marker such as a cluster bubble)
+ *
+ * @param {google.maps.marker.AdvancedMarkerElement|google.maps.Marker} marker
+ * @returns {void}
+ */
+export function bounceMarker(marker) {
+  const { bounceMs } = MAPS_CONFIG.MARKERS
+  if (typeof marker.setAnimation === 'function') {
+    marker.setAnimation(google.maps.Animation.BOUNCE)
+    setTimeout(() => marker.setAnimation(null), bounceMs)
+    return
+  }
+
+  const pin = marker.content
+  if (!pin) return
+  pin.classList.remove('bounce')
+  // Restart the CSS animation when hovering quickly over several cards
+  void pin.offsetWidth
+  pin.classList.add('bounce')
+  setTimeout(() => pin.classList.remove('bounce'), bounceMs)
+}
+
 /**
  * Searches for nearby veterinary care locations using Google Places API
  *
@@ -173,7 +260,6 @@ export async function searchNearbyVets(userLocation, options = {}) {
 
   try {
     const { places } = await google.maps.places.Place.searchNearby(request)
-    console.log("[google_maps_utils] Nearby vets search results:", places)
     return places || []
   } catch (error) {
     console.error("[google_maps_utils] Places API error:", error)
@@ -181,45 +267,6 @@ export async function searchNearbyVets(userLocation, options = {}) {
   }
 }
 
-/**
- * Normalizes a Places API result into a consistent shape
- * Ensures we always have a displayName string and location for downstream code
- *
- * @param {Object} place - Raw place object from the Places API
- * @param {string} categoryKey - vets | shelters | rescue
- * @param {Object} [categoryMeta] - Category metadata
- * @returns {Object|null} Normalized place or null if required fields missing
- */
-function normalizePlace(place, categoryKey, categoryMeta = {}) {
-  if (!place) return null
-
-  const id = place.id || place.placeId || place.place_id || null
-  const displayName = place.displayName?.text || place.displayName || place.name
-  const location = place.location || place.geometry?.location
-  const formattedAddress = place.formattedAddress || place.formatted_address || null
-  const rating = typeof place.rating === 'number' ? place.rating : null
-  const types = Array.isArray(place.types) ? place.types : []
-  const regularOpeningHours = place.regularOpeningHours || place.regular_opening_hours || null
-  const phoneNumber = place.nationalPhoneNumber || place.formattedPhoneNumber || place.internationalPhoneNumber || place.phoneNumber || null
-
-  if (!displayName || !location) return null
-
-  return {
-    ...place,
-    id,
-    displayName,
-    location,
-    formattedAddress,
-    rating,
-    types,
-    regularOpeningHours,
-    phoneNumber,
-    category: categoryKey,
-    categoryLabel: categoryMeta.label,
-    categoryColor: categoryMeta.color
-  }
-}
-
 /**
  * Gets the user's current geolocation
  *
@@ -247,6 +294,34 @@ export function getUserLocation() {
   })
 }
 
+/**
+ * Watches the user's geolocation until the returned function is called
+ *
+ * @param {Function} onLocation - Called with { lat, lng } on every position update
+ * @param {Function} [onError] - Called with the GeolocationPositionError
+ * @returns {Function} Stops watching
+ * @throws {Error} If geolocation is not supported by this browser
+ */
+export function watchUserLocation(onLocation, onError = () => {}) {
+  if (!navigator.geolocation) {
+    throw new Error("Geolocation is not supported by this browser")
+  }
+
+  const { enableHighAccuracy, maximumAge, timeout } = MAPS_CONFIG.LIVE_TRACKING
+  const watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      onLocation({
+        lat: position.coords.latitude,
+        lng: position.coords.longitude
+      })
+    },
+    onError,
+    { enableHighAccuracy, maximumAge, timeout }
+  )
+
+  return () => navigator.geolocation.clearWatch(watchId)
+}
+
 /**
  * Creates a Google Map instance with default styling
  *
@@ -268,146 +343,206 @@ export function createMap(mapElement, center, options = {}) {
 }
 
 /**
- * Fetches detailed information for a place including opening hours
- * The searchNearby API doesn't always return full opening hours data,
- * so we need to fetch place details separately
+ * Converts the detail fields of a Places API place into plain data
  *
- * @param {Object} place - Place object from searchNearby
- * @returns {Promise<Object>} Enhanced place object with full details
+ * @param {google.maps.places.Place} place - Place with detail fields fetched
+ * @returns {Object} Plain details
  */
-export async function fetchPlaceDetails(place) {
-  try {
-    // Fetch additional fields that might not be in the initial search
-    await place.fetchFields({
-      fields: ['regularOpeningHours']
-    })
+function serializePlaceDetails(place) {
+  const { maxPhotos, photoMaxWidth } = MAPS_CONFIG.PLACE_DETAILS
+  const weekdays = (hours) => (Array.isArray(hours?.weekdayDescriptions) ? [...hours.weekdayDescriptions] : [])
 
-    console.log("[google_maps_utils] Fetched place details for:", place.displayName, place.regularOpeningHours)
-    return place
-  } catch (error) {
-    console.error("[google_maps_utils] Error fetching place details:", error)
-    // Return the original place if fetching fails
-    return place
+  return {
+    websiteUri: place.websiteURI || null,
+    editorialSummary: place.editorialSummary || null,
+    currentWeekdayDescriptions: weekdays(place.currentOpeningHours),
+    regularWeekdayDescriptions: weekdays(place.regularOpeningHours),
+    wheelchairAccessibleEntrance: place.accessibilityOptions?.hasWheelchairAccessibleEntrance ?? null,
+    photos: (place.photos || []).slice(0, maxPhotos).map((photo) => ({
+      url: photo.getURI({ maxWidth: photoMaxWidth }),
+      attributions: (photo.authorAttributions || []).map(author => ({ name: author.displayName, uri: author.uri }))
+    }))
   }
 }
 
 /**
- * Searches for all animal service locations (vets, shelters, rescue orgs)
+ * Fetches the extra fields shown in an expanded card
+ * (MAPS_CONFIG.PLACE_DETAILS.fields: website, this week's hours including
+ * holidays, editorial summary, photos, wheelchair access)
  *
- * @param {Object} userLocation - User's location object
- * @param {number} userLocation.lat - Latitude
- * @param {number} userLocation.lng - Longitude
- * @returns {Promise<Object>} Object with categorized places { vets: [], shelters: [], rescue: [] }
+ * @param {string} placeId - Google place ID
+ * @param {Object} [options={}]
+ * @param {string[]} [options.fields] - Fields to fetch
+ * @returns {Promise<Object|null>} Plain details or null when unavailable
  */
-export async function searchAllAnimalServices(userLocation) {
-  const config = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH
-  const results = {
-    vets: [],
-    shelters: [],
-    rescue: []
-  }
+export async function fetchPlaceDetails(placeId, { fields = MAPS_CONFIG.PLACE_DETAILS.fields } = {}) {
+  if (!placeId || !window.google?.maps?.places?.Place) return null
 
   try {
-    // Search for vets (uses includedTypes)
-    results.vets = await searchByCategory(userLocation, 'vets', config)
-
-    // Search for shelters (uses textQuery)
-    results.shelters = await searchByTextQuery(userLocation, 'shelters', config)
-
-    // Search for rescue organizations (uses textQuery)
-    results.rescue = await searchByTextQuery(userLocation, 'rescue', config)
-
-    console.log("[google_maps_utils] All animal services search results:", results)
-    return results
+    const place = new google.maps.places.Place({ id: placeId })
+    await place.fetchFields({ fields })
+    return serializePlaceDetails(place)
   } catch (error) {
-    console.error("[google_maps_utils] Error searching animal services:", error)
-    throw error
+    console.error("[google_maps_utils] Error fetching place details:", error)
+    return null
   }
 }
 
 /**
- * Searches for places by category
+ * Rejects when the promise does not settle within the given time
  *
- * @param {Object} userLocation - User's location
- * @param {string} categoryKey - Category key (vets, shelters, rescue)
- * @param {Object} config - Search configuration
- * @returns {Promise<Array>} Array of places with category metadata
+ * @param {Promise} promise - Promise to bound
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise}
  */
-async function searchByCategory(userLocation, categoryKey, config) {
-  const category = config.categories[categoryKey]
-  const fields = Array.isArray(config.fields) && config.fields.length ? config.fields : DEFAULT_PLACE_FIELDS
-
-  const request = {
-    fields: fields,
-    locationRestriction: {
-      center: userLocation,
-      radius: config.radius
-    },
-    includedTypes: category.includedTypes,
-    maxResultCount: config.maxResultCount,
-    rankPreference: google.maps.places.SearchNearbyRankPreference.DISTANCE
-  }
-
-  const { places } = await google.maps.places.Place.searchNearby(request)
+function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) return promise
 
-  // Normalize, ensure required fields, add category metadata, and enforce radius
-  const normalized = (places || [])
-    .map(place => normalizePlace(place, categoryKey, category))
-    .filter(Boolean)
-
-  return filterByRadius(normalized, userLocation, config.radius)
+  let timer = null
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} search timed out after ${timeoutMs}ms`)), timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
 }
 
 /**
- * Searches for places by text query (used for shelters and rescue orgs)
+ * Searches one category, widening the radius while results are sparse
+ * Tries config.radius first, then each larger radiusExpansion step, and stops
+ * once minResults places are found. Each attempt has its own timeout; when a
+ * wider attempt fails, the last successful (narrower) result is kept.
  *
- * @param {Object} userLocation - User's location
- * @param {string} categoryKey - Category key (shelters, rescue)
+ * @param {Object} provider - Places provider
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category key
  * @param {Object} config - Search configuration
- * @returns {Promise<Array>} Array of places
+ * @returns {Promise<{places:Array, radius:number, baseRadius:number, baseCount:number}>}
  */
-async function searchByTextQuery(userLocation, categoryKey, config) {
-  const category = config.categories[categoryKey]
-  const fields = Array.isArray(config.fields) && config.fields.length ? config.fields : DEFAULT_PLACE_FIELDS
+async function searchCategoryWithExpansion(provider, location, categoryKey, config) {
+  const { steps = [], minResults = 0 } = config.radiusExpansion || {}
+  const radii = [config.radius, ...steps.filter(radius => radius > config.radius)]
+  let outcome = null
+
+  for (const radius of radii) {
+    try {
+      const places = await withTimeout(
+        provider.searchCategory(location, categoryKey, { ...config, radius }),
+        config.categoryTimeoutMs,
+        categoryKey
+      )
+      outcome = { places, radius, baseRadius: config.radius, baseCount: outcome ? outcome.baseCount : places.length }
+    } catch (error) {
+      if (!outcome) throw error
+      console.warn(`[google_maps_utils] ${categoryKey} search at ${radius}m failed, keeping ${outcome.radius}m results:`, error)
+      break
+    }
 
-  const request = {
-    fields: fields,
-    textQuery: category.textQuery,
-    locationBias: {
-      center: userLocation,
-      radius: config.radius
-    },
-    maxResultCount: config.maxResultCount
+    if (outcome.places.length >= minResults) break
   }
 
-  try {
-    const { places } = await google.maps.places.Place.searchByText(request)
+  return outcome
+}
+
+/**
+ * Runs extra text queries for a category and merges their places in
+ * Only providers with `supportsTextQuery` can run them; failing queries are
+ * skipped. Places found by an extra query carry `matchedQuery`.
+ *
+ * @param {Object} provider - Places provider
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category the results belong to
+ * @param {Object} config - Search configuration (radius already final)
+ * @param {Array<{textQuery:string}>} queries - Extra queries for this category
+ * @param {Array} places - Places from the regular category search
+ * @returns {Promise<Array>} Merged places without duplicates
+ */
+async function searchExtraQueries(provider, location, categoryKey, config, queries, places) {
+  if (!provider.supportsTextQuery || queries.length === 0) return places
 
-    if (!places || places.length === 0) {
-      return []
+  const category = config.categories[categoryKey]
+  const outcomes = await Promise.allSettled(queries.map(({ textQuery }) => withTimeout(
+    provider.searchCategory(location, categoryKey, {
+      ...config,
+      categories: { ...config.categories, [categoryKey]: { ...category, includedTypes: undefined, textQuery } }
+    }),
+    config.categoryTimeoutMs,
+    `${categoryKey} "${textQuery}"`
+  ).then(found => found.map(place => ({ ...place, matchedQuery: textQuery })))))
+
+  const merged = new Map(places.map(place => [String(place.id), place]))
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'rejected') {
+      console.warn(`[google_maps_utils] Extra query "${queries[index].textQuery}" failed:`, outcome.reason)
+      return
     }
+    outcome.value.forEach((place) => {
+      const existing = merged.get(String(place.id))
+      merged.set(String(place.id), existing ? { ...existing, matchedQuery: place.matchedQuery } : place)
+    })
+  })
+  return Array.from(merged.values())
+}
 
-    // Fetch full details for each place to get location and other fields
-    const enrichedPlaces = await Promise.all(
-      places.map(async (place) => {
-        try {
-          await place.fetchFields({ fields })
-          return place
-        } catch (error) {
-          console.warn(`[google_maps_utils] Failed to fetch fields for place:`, error)
-          return null
-        }
-      })
-    )
+/**
+ * Searches for all animal service locations (vets, shelters, rescue orgs)
+ * Delegates each category to the selected places provider (see utils/places_providers).
+ * Categories run in parallel, each bounded by categoryTimeoutMs; a failing
+ * category resolves to an empty list and is reported through onCategoryError.
+ * Sparse categories widen their radius (see searchCategoryWithExpansion).
+ *
+ * @param {Object} userLocation - User's location object
+ * @param {number} userLocation.lat - Latitude
+ * @param {number} userLocation.lng - Longitude
+ * @param {Object} [options={}] - Optional search options
+ * @param {string} [options.provider] - Places provider name (google | fixture | overpass)
+ * @param {string[]} [options.categories] - Category keys to search (defaults to all)
+ * @param {Array<{category:string, textQuery:string}>} [options.extraQueries] - Extra text searches
+ *   merged into their category (e.g. species-specific "wildlife rescue")
+ * @param {Function} [options.onCategoryResult] - Called with (categoryKey, places, meta) as each category
+ *   resolves; meta is { radius, baseRadius, baseCount } describing how far the search went
+ * @param {Function} [options.onCategoryError] - Called with (categoryKey, error) when a category fails
+ * @returns {Promise<Object>} Object with categorized places { vets: [], shelters: [], rescue: [] }
+ * @throws {Error} If every searched category fails
+ * @throws {PlacesUnavailableError} If no real places provider is available
+ */
+export async function searchAllAnimalServices(userLocation, options = {}) {
+  const config = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH
+  const categoryKeys = options.categories || Object.keys(config.categories)
+  let provider
+  try {
+    provider = getPlacesProvider(options.provider)
+  } catch (error) {
+    categoryKeys.forEach(categoryKey => options.onCategoryError?.(categoryKey, error))
+    throw error
+  }
+  const results = {
+    vets: [],
+    shelters: [],
+    rescue: []
+  }
 
-    // Normalize and filter out incomplete results
-    const normalized = enrichedPlaces
-      .map(place => normalizePlace(place, categoryKey, category))
-      .filter(Boolean)
+  const outcomes = await Promise.allSettled(categoryKeys.map(async (categoryKey) => {
+    try {
+      const { places: categoryPlaces, ...searchMeta } = await searchCategoryWithExpansion(provider, userLocation, categoryKey, config)
+      const extraQueries = (options.extraQueries || []).filter(query => query.category === categoryKey)
+      const places = await searchExtraQueries(
+        provider, userLocation, categoryKey, { ...config, radius: searchMeta.radius }, extraQueries, categoryPlaces
+      )
+      results[categoryKey] = places
+      options.onCategoryResult?.(categoryKey, places, searchMeta)
+    } catch (error) {
+      console.warn(`[google_maps_utils] ${categoryKey} search failed:`, error)
+      options.onCategoryError?.(categoryKey, error)
+      throw error
+    }
+  }))
 
-    return filterByRadius(normalized, userLocation, config.radius)
-  } catch (error) {
-    console.warn(`[google_maps_utils] ${categoryKey} search failed, returning empty:`, error)
-    return []
+  if (outcomes.every(outcome => outcome.status === 'rejected')) {
+    const error = new Error("All animal services searches failed")
+    error.causes = outcomes.map(outcome => outcome.reason)
+    console.error("[google_maps_utils] Error searching animal services:", error)
+    throw error
   }
+
+  return results
 }
@@ -0,0 +1,201 @@
+// app/javascript/utils/i18n.js
+
+import { EN_MESSAGES } from "config/locales/en"
+import { DE_MESSAGES } from "config/locales/de"
+
+/**
+ * Client-side i18n
+ *
+ * Looks up UI strings in the message catalogs under config/locales and
+ * formats numbers, times, weekdays and lists with Intl. The locale comes from
+ * `<html lang>` when set, otherwise from the browser; unsupported locales
+ * fall back to English.
+ *
+ * Messages are nested objects addressed by dotted keys:
+ *
+ *   t("cards.distanceAway", { distance: "1.2 km" })  // "1.2 km away"
+ *   t("categories.vets.count", { count: 3 })          // "3 vets"
+ *
+ * `%{name}` placeholders are replaced by params (numbers are formatted for
+ * the locale). A message may be an object of plural forms ({ one, other },
+ * optionally `zero`), picked by `params.count` via Intl.PluralRules.
+ *
+ * Static markup is translated with `localizeElements` (see data-i18n).
+ */
+
+const CATALOGS = {
+  en: EN_MESSAGES,
+  de: DE_MESSAGES
+}
+
+const DEFAULT_LOCALE = "en"
+
+// Intl objects are comparatively expensive to build; reuse them per locale + options
+const formatters = new Map()
+
+/**
+ * Returns a cached Intl formatter
+ *
+ * @param {Function} Formatter - Intl constructor (NumberFormat, DateTimeFormat, …)
+ * @param {Object} [options={}]
+ * @returns {Object}
+ */
+function formatter(Formatter, options = {}) {
+  const locale = getLocale()
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`
+  if (!formatters.has(key)) formatters.set(key, new Formatter(locale, options))
+  return formatters.get(key)
+}
+
+/**
+ * Language part of a locale tag ("de-AT" -> "de")
+ *
+ * @param {string} locale
+ * @returns {string}
+ */
+function languageOf(locale) {
+  return locale.toLowerCase().split('-')[0]
+}
+
+/**
+ * Whether Intl accepts a locale tag ("en-" or "de_DE" make it throw)
+ *
+ * @param {string} locale
+ * @returns {boolean}
+ */
+function isWellFormedLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length > 0
+  } catch {
+    return false
+  }
+}
+
+/**
+ * The active UI locale
+ * The first well-formed of `<html lang>` and the browser languages whose
+ * language has a catalog. The full tag is kept so Intl formats for the region (en-GB gets
+ * 24-hour times). Read on every call so a changed `<html lang>` (e.g. after
+ * a Turbo visit) takes effect immediately.
+ *
+ * @returns {string} Locale tag, e.g. "de-DE"
+ */
+export function getLocale() {
+  const candidates = [
+    document.documentElement.lang,
+    ...(navigator.languages || []),
+    navigator.language
+  ]
+
+  return candidates.find(candidate => candidate && CATALOGS[languageOf(candidate)] && isWellFormedLocale(candidate)) || DEFAULT_LOCALE
+}
+
+/**
+ * Finds a message by dotted key in a catalog
+ *
+ * @param {Object} catalog
+ * @param {string} key
+ * @returns {string|Object|undefined}
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog)
+}
+
+/**
+ * Translates a message key
+ * Missing keys fall back to English, then to the key itself (and warn).
+ *
+ * @param {string} key - Dotted message key, e.g. "cards.expand"
+ * @param {Object} [params={}] - Placeholder values; `count` selects the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[languageOf(getLocale())], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+
+  if (message === undefined) {
+    console.warn(`[i18n] Missing message "${key}"`)
+    return key
+  }
+
+  if (typeof message === 'object') {
+    const count = Number(params.count)
+    message = (count === 0 && message.zero) || message[formatter(Intl.PluralRules).select(count)] || message.other
+  }
+
+  return String(message).replace(/%\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name]
+    if (value === undefined || value === null) return placeholder
+    return typeof value === 'number' ? formatNumber(value) : String(value)
+  })
+}
+
+/**
+ * Translates server-rendered markup
+ * `data-i18n="key"` replaces an element's text; `data-i18n-attrs` sets
+ * attributes from space-separated `attribute:key` pairs, e.g.
+ * `data-i18n-attrs="placeholder:location.inputPlaceholder"`. The server
+ * renders the English text, which stays when JavaScript is off.
+ *
+ * @param {Element} root - Element whose descendants are translated
+ * @returns {void}
+ */
+export function localizeElements(root) {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n)
+  })
+  root.querySelectorAll('[data-i18n-attrs]').forEach((element) => {
+    element.dataset.i18nAttrs.split(/\s+/).filter(Boolean).forEach((pair) => {
+      const [attribute, key] = pair.split(':')
+      element.setAttribute(attribute, t(key))
+    })
+  })
+}
+
+/**
+ * Formats a number for the active locale
+ *
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options={}]
+ * @returns {string} e.g. "1,5" in German
+ */
+export function formatNumber(value, options = {}) {
+  return formatter(Intl.NumberFormat, options).format(value)
+}
+
+/**
+ * Formats a wall-clock time, e.g. "08:00" (de) or "8:00 AM" (en)
+ * The time is not converted between time zones.
+ *
+ * @param {number} hour - 0–23
+ * @param {number} [minute=0]
+ * @returns {string}
+ */
+export function formatTime(hour, minute = 0) {
+  return formatter(Intl.DateTimeFormat, { timeStyle: 'short', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2024, 0, 7, hour, minute)))
+}
+
+/**
+ * Weekday name for a day index
+ *
+ * @param {number} day - 0 = Sunday, like Date.getDay() and Places API periods
+ * @param {'long'|'short'|'narrow'} [width='short']
+ * @returns {string} e.g. "Mo" (de) or "Mon" (en)
+ */
+export function formatWeekday(day, width = 'short') {
+  // 7 January 2024 was a Sunday
+  return formatter(Intl.DateTimeFormat, { weekday: width, timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2024, 0, 7 + day)))
+}
+
+/**
+ * Joins items into a list for the active locale, e.g. "3 vets, 2 shelters"
+ *
+ * @param {string[]} items
+ * @param {Intl.ListFormatOptions} [options={ style: 'short', type: 'unit' }]
+ * @returns {string}
+ */
+export function formatList(items, options = { style: 'short', type: 'unit' }) {
+  if (!Intl.ListFormat) return items.join(', ')
+  return formatter(Intl.ListFormat, options).format(items)
+}
@@ -6,10 +6,17 @@ import {
   generateDirectionsUrl,
   getAllOpeningHours,
   createAppointmentSection,
-  getOpeningStatus
+  getOpeningStatus,
+  createShareButtons,
+  escapeHtml
 } from "utils/vet_card_utils"
 import { distanceInMeters, formatDistanceLabel } from "utils/distance_utils"
+import { getOpenBadge, isAlwaysOpen } from "utils/opening_hours"
+import { formatDuration } from "utils/travel_times"
+import { sharePlace, downloadVCard } from "utils/place_sharing"
+import { MAPS_CONFIG } from "config/google_maps_config"
 import { createDirectionsButton } from "utils/vet_card_utils"
+import { t } from "utils/i18n"
 
 /**
  * Creates a horizontal location card in Google Maps style.
@@ -22,26 +29,28 @@ import { createDirectionsButton } from "utils/vet_card_utils"
  * @param {Function} onExpandChange - Callback when expansion toggles
  * @param {Object|null} userLocation - User lat/lng for distance display
  * @param {boolean} isNearest - Whether this place is the nearest
+ * @param {Function|null} onSaveToggle - Star button handler; no star when omitted
+ * @param {Function|null} loadDetails - Resolves extra details (place => Promise<Object|null>) on first expand
  * @returns {HTMLElement} Horizontal card DOM element
  */
-export function createHorizontalLocationCard(place, onCardClick, onCardHover, hasIntake = false, onExpandChange = () => {}, userLocation = null, isNearest = false) {
+export function createHorizontalLocationCard(place, onCardClick, onCardHover, hasIntake = false, onExpandChange = () => {}, userLocation = null, isNearest = false, onSaveToggle = null, loadDetails = null) {
   const card = document.createElement("div")
   card.className = "location-card-horizontal"
   card.dataset.placeId = place.id
-  card.tabIndex = 0
-  card.setAttribute("role", "button")
-  card.setAttribute("aria-label", `${place.displayName} auswählen`)
+  // Roving tabindex: only the active card is in the tab order (see setCardActive)
+  card.tabIndex = -1
+  card.setAttribute("role", "group")
+  card.setAttribute("aria-roledescription", t("cards.roleDescription"))
+  card.setAttribute("aria-label", describePlace(place, userLocation))
 
   const ratingText = formatRating(place)
   const titleText = truncateTitle(place.displayName)
   const address = getFormattedAddress(place)
-  const distanceText = userLocation ? formatDistance(userLocation, place.location) : null
-  const todayHours = getOpeningStatus(place)
-  const metaLine = buildMetaLine(distanceText, todayHours, isNearest)
+  const metaLine = buildMetaLine(place, userLocation, isNearest)
   const phoneNumber = formatPhoneNumber(place.phoneNumber)
   const phoneHref = buildTelHref(place.phoneNumber)
 
-  const categoryLabel = place.categoryLabel || 'VETERINARY'
+  const categoryLabel = t(`categories.${place.category || 'vets'}.label`)
   const categoryClass = place.category || 'veterinary'
 
   const openingHours = getAllOpeningHours(place)
@@ -51,37 +60,59 @@ export function createHorizontalLocationCard(place, onCardClick, onCardHover, ha
     <div class="location-card-content">
       <div class="location-card-info">
         <div class="location-card-header">
-          <h3 class="location-card-title" title="${place.displayName}">${titleText}</h3>
+          <h3 class="location-card-title" title="${escapeHtml(place.displayName)}">${escapeHtml(titleText)}</h3>
           <span class="location-card-rating">${ratingText}</span>
+          ${onSaveToggle ? `
+            <button class="location-card-save-btn" type="button">
+              <i class="fa-star" aria-hidden="true"></i>
+            </button>
+          ` : ''}
         </div>
-        <p class="location-card-category">${categoryLabel}</p>
-        <p class="location-card-address">${address}</p>
+        <p class="location-card-category">
+          ${categoryLabel}
+          ${isAlwaysOpen(place) ? '<span class="location-card-badge-24-7">24/7</span>' : ''}
+        </p>
+        ${place.fitReason ? `<p class="location-card-fit"><i class="fa-solid fa-paw" aria-hidden="true"></i> ${place.fitReason}</p>` : ''}
+        <p class="location-card-address">${escapeHtml(address)}</p>
         <div class="location-card-divider"></div>
         ${phoneNumber ? `
+          <a class="call-btn" href="${escapeHtml(phoneHref)}" onclick="event.stopPropagation()">
+            <i class="fa-solid fa-phone"></i>
+            <span>${t("cards.callNow")}</span>
+          </a>
           <div class="location-card-contact">
-            <a class="phone-link" href="${phoneHref}" onclick="event.stopPropagation()">
+            <a class="phone-link" href="${escapeHtml(phoneHref)}" onclick="event.stopPropagation()">
               <i class="fa-solid fa-phone"></i>
-              <span class="phone-number">${phoneNumber}</span>
+              <span class="phone-number">${escapeHtml(phoneNumber)}</span>
             </a>
           </div>
         ` : ''}
+        ${directionsUrl !== '#' ? `
+          <a class="navigate-btn" href="${escapeHtml(directionsUrl)}" target="_blank" rel="noopener" onclick="event.stopPropagation()">
+            <i class="fa-solid fa-road"></i>
+            <span>${t("cards.navigate")}</span>
+          </a>
+        ` : ''}
         <div class="location-card-divider compact"></div>
-        ${metaLine ? `<p class="location-card-meta">${metaLine}</p>` : ''}
+        <p class="location-card-meta">${metaLine}</p>
       </div>
-      <button class="location-card-expand-btn" type="button" aria-label="Expand card" title="Expand">
+      <button class="location-card-expand-btn" type="button" aria-label="${t("cards.expandCard")}" aria-expanded="false" title="${t("cards.expand")}">
         <span class="expand-handle" aria-hidden="true"></span>
-        <span class="visually-hidden">Expand</span>
+        <span class="visually-hidden">${t("cards.expand")}</span>
       </button>
     </div>
     <div class="location-card-expanded hidden">
+      <div class="location-card-details"></div>
       ${openingHours ? `<div class="location-card-hours">${openingHours}</div>` : ''}
         ${createDirectionsButton(directionsUrl)}
+        ${createShareButtons()}
         ${createAppointmentSection(hasIntake, true)}
       </div>
     </div>
   `
 
   card.classList.add(`category-${categoryClass}`)
+  if (loadDetails) detailsLoaders.set(card, () => loadDetails(place))
 
   const expandSection = card.querySelector('.location-card-expanded')
   const expandButton = card.querySelector('.location-card-expand-btn')
@@ -97,8 +128,28 @@ export function createHorizontalLocationCard(place, onCardClick, onCardHover, ha
     })
   }
 
+  const saveButton = card.querySelector('.location-card-save-btn')
+  if (saveButton) {
+    setCardSaved(card, Boolean(place.isSaved))
+    saveButton.addEventListener('click', (event) => {
+      event.stopPropagation()
+      onSaveToggle(place)
+    })
+  }
+
+  card.querySelectorAll('.share-btn').forEach((button) => {
+    button.addEventListener('click', async (event) => {
+      event.stopPropagation()
+      if (button.dataset.share === 'vcard') {
+        downloadVCard(place)
+        return
+      }
+      flashShareResult(button, await sharePlace(place))
+    })
+  })
+
   card.addEventListener("click", (e) => {
-    if (e.target.closest('.location-card-expand-btn') || e.target.closest('.directions-btn')) return
+    if (e.target.closest('.location-card-expand-btn') || e.target.closest('.directions-btn') || e.target.closest('.location-card-save-btn') || e.target.closest('.share-btn')) return
     onCardClick(place)
   })
 
@@ -111,6 +162,23 @@ export function createHorizontalLocationCard(place, onCardClick, onCardHover, ha
   })
 
   card.addEventListener("keydown", (e) => {
+    // An expanded card keeps focus inside until it is collapsed
+    if (isCardExpanded(card)) {
+      if (e.key === "Tab") {
+        trapFocus(card, e)
+        return
+      }
+      if (e.key === "Escape") {
+        e.preventDefault()
+        setCardExpanded(card, false)
+        onExpandChange(false)
+        card.focus()
+        return
+      }
+    }
+
+    // Buttons and links inside the card handle their own keys
+    if (e.target !== card) return
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault()
       onCardClick(place)
@@ -120,10 +188,205 @@ export function createHorizontalLocationCard(place, onCardClick, onCardHover, ha
   return card
 }
 
+// card -> () => Promise<details|null>, for cards that can load extra details
+const detailsLoaders = new WeakMap()
+
+const DETAILS_SKELETON = `
+  <span class="skeleton-line"></span>
+  <span class="skeleton-line short"></span>
+  <span class="skeleton-photos">
+    <span class="skeleton-block"></span>
+    <span class="skeleton-block"></span>
+    <span class="skeleton-block"></span>
+  </span>
+`
+
+/**
+ * Loads and renders a card's extra details the first time it is expanded
+ * Shows a skeleton while loading; an empty result leaves the section empty
+ * and lets the next expand try again.
+ * @param {HTMLElement} card - Card element
+ */
+async function loadCardDetails(card) {
+  const section = card.querySelector('.location-card-details')
+  const load = detailsLoaders.get(card)
+  if (!section || !load || section.dataset.state) return
+
+  section.dataset.state = 'loading'
+  section.setAttribute('aria-busy', 'true')
+  section.innerHTML = DETAILS_SKELETON
+
+  const details = await load().catch(() => null)
+  section.removeAttribute('aria-busy')
+  if (details) {
+    section.dataset.state = 'loaded'
+    section.innerHTML = buildDetailsSection(details, card.querySelector('.location-card-title')?.title)
+  } else {
+    delete section.dataset.state
+    section.innerHTML = ''
+  }
+}
+
+/**
+ * Builds the details markup: summary, photos, website, wheelchair access and
+ * this week's hours when they differ from the regular ones (e.g. holidays)
+ * @param {Object} details - Plain details from fetchPlaceDetails
+ * @param {string} [placeName] - Used for photo alt text
+ * @returns {string} HTML
+ */
+function buildDetailsSection(details, placeName = '') {
+  const parts = []
+
+  if (details.editorialSummary) {
+    parts.push(`<p class="details-summary">${escapeHtml(details.editorialSummary)}</p>`)
+  }
+
+  if (details.photos?.length) {
+    const photos = details.photos.map((photo) => {
+      const credit = photo.attributions
+        .map(author => (author.uri ? `<a href="${escapeHtml(author.uri)}" target="_blank" rel="noopener">${escapeHtml(author.name)}</a>` : escapeHtml(author.name)))
+        .join(', ')
+      return `
+        <figure class="details-photo">
+          <img src="${escapeHtml(photo.url)}" alt="${escapeHtml(t("cards.photoOf", { name: placeName }))}" loading="lazy">
+          ${credit ? `<figcaption>${credit}</figcaption>` : ''}
+        </figure>
+      `
+    })
+    parts.push(`<div class="details-photos">${photos.join('')}</div>`)
+  }
+
+  const facts = []
+  if (details.websiteUri) {
+    facts.push(`<li><i class="fa-solid fa-globe" aria-hidden="true"></i><a href="${escapeHtml(details.websiteUri)}" target="_blank" rel="noopener">${escapeHtml(websiteLabel(details.websiteUri))}</a></li>`)
+  }
+  if (details.wheelchairAccessibleEntrance !== null && details.wheelchairAccessibleEntrance !== undefined) {
+    const text = t(details.wheelchairAccessibleEntrance ? "cards.wheelchairAccessible" : "cards.notWheelchairAccessible")
+    facts.push(`<li><i class="fa-solid fa-wheelchair" aria-hidden="true"></i>${text}</li>`)
+  }
+  if (facts.length) parts.push(`<ul class="details-facts">${facts.join('')}</ul>`)
+
+  parts.push(buildCurrentHours(details))
+  return parts.join('')
+}
+
+/**
+ * This week's hours, with days that differ from the regular hours marked
+ * Nothing when the week matches the regular hours (already shown below).
+ * @param {Object} details - Plain details
+ * @returns {string} HTML
+ */
+function buildCurrentHours(details) {
+  const current = details.currentWeekdayDescriptions || []
+  const regular = details.regularWeekdayDescriptions || []
+  if (current.length === 0) return ''
+
+  const rows = current.map((line, index) => ({ line, isSpecial: Boolean(regular[index]) && regular[index] !== line }))
+  const hasSpecialDays = rows.some(row => row.isSpecial)
+  if (regular.length > 0 && !hasSpecialDays) return ''
+
+  const heading = t(hasSpecialDays ? "cards.thisWeekSpecial" : "cards.thisWeek")
+  const rowsHtml = rows.map(({ line, isSpecial }) => {
+    const [day, times] = line.split(': ')
+    return `
+      <div class="hours-row ${isSpecial ? 'hours-special' : ''}">
+        <span class="hours-day">${escapeHtml(day)}</span>
+        <span class="hours-time">${escapeHtml(times || '')}</span>
+      </div>
+    `
+  })
+  return `<div class="details-hours"><p class="details-heading">${heading}</p>${rowsHtml.join('')}</div>`
+}
+
+function websiteLabel(uri) {
+  try {
+    return new URL(uri).hostname.replace(/^www\./, '')
+  } catch (error) {
+    return uri
+  }
+}
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])'
+
+/**
+ * Keeps Tab / Shift+Tab cycling through the card and its visible controls
+ * @param {HTMLElement} card - Expanded card
+ * @param {KeyboardEvent} event - Tab keydown
+ */
+function trapFocus(card, event) {
+  const focusables = [card, ...card.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(element => element === card || element.getClientRects().length > 0)
+  const first = focusables[0]
+  const last = focusables[focusables.length - 1]
+
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault()
+    last.focus()
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault()
+    first.focus()
+  }
+}
+
+/**
+ * Whether a card's details are expanded
+ * @param {HTMLElement} card - Card element
+ * @returns {boolean}
+ */
+function isCardExpanded(card) {
+  return Boolean(card.querySelector('.location-card-expanded:not(.hidden)'))
+}
+
+/**
+ * Spoken summary of a place: name, category, distance, open status
+ * Used as the card's accessible name and for live announcements.
+ * @param {Object} place - Place shown by the card
+ * @param {Object|null} [userLocation] - User lat/lng for the distance
+ * @returns {string} e.g. "Igelstation, Rescue, 2.3 km away, Open, closes 18:00"
+ */
+export function describePlace(place, userLocation = null) {
+  const category = place.category ? t(`categories.${place.category}.label`) : null
+  const distance = userLocation && place.location ? t("cards.distanceAway", { distance: formatDistance(userLocation, place.location) }) : null
+  const openBadge = getOpenBadge(place)
+
+  return [
+    place.displayName,
+    category,
+    distance,
+    openBadge ? openBadge.text.replace(' · ', ', ') : null,
+    place.isSaved ? t("cards.saved") : null
+  ].filter(Boolean).join(', ')
+}
+
+// Message keys for share outcomes worth showing on the button
+const SHARE_RESULT_LABELS = {
+  copied: "cards.copied",
+  failed: "cards.shareFailed"
+}
+
+/**
+ * Briefly shows the outcome of a share on its button (e.g. "Copied to clipboard")
+ * @param {HTMLElement} button - Share button
+ * @param {string} result - Result from sharePlace
+ */
+function flashShareResult(button, result) {
+  const key = SHARE_RESULT_LABELS[result]
+  const label = button.querySelector('.share-btn-label')
+  if (!key || !label) return
+
+  clearTimeout(button.shareResetTimer)
+  button.dataset.defaultLabel ||= label.textContent
+  label.textContent = t(key)
+  button.classList.toggle('failed', result === 'failed')
+  button.shareResetTimer = setTimeout(() => {
+    label.textContent = button.dataset.defaultLabel
+    button.classList.remove('failed')
+  }, 2000)
+}
+
 function formatDistance(origin, destination) {
   const meters = distanceInMeters(origin, destination)
-  const label = formatDistanceLabel(meters, { suffix: " km" })
-  return label
+  return formatDistanceLabel(meters)
 }
 
 function truncateTitle(name, maxLength = 25) {
@@ -131,24 +394,55 @@ function truncateTitle(name, maxLength = 25) {
   return `${name.slice(0, maxLength)}...`
 }
 
-function buildMetaLine(distanceText, todayHours, isNearest) {
+function buildMetaLine(place, userLocation, isNearest) {
+  const distanceText = userLocation ? formatDistance(userLocation, place.location) : null
+  const openBadge = getOpenBadge(place)
+  // Structured periods give a live badge; fall back to today's raw hours text
+  const todayHours = openBadge ? null : getOpeningStatus(place)
   const parts = []
 
+  if (openBadge) {
+    const stateClass = openBadge.isAlwaysOpen ? 'always' : (openBadge.isOpen ? 'open' : 'closed')
+    parts.push(`<span class="open-badge ${stateClass}">${openBadge.text}</span>`)
+  }
+
+  if (place.travelTime) {
+    parts.push(buildTravelTimeBadge(place.travelTime))
+  }
+
   if (distanceText) {
-    parts.push(`<span class="meta-label">Distance</span> <span class="meta-value">${distanceText}</span>`)
+    parts.push(`<span class="meta-label">${t("cards.distance")}</span> <span class="meta-value">${distanceText}</span>`)
   }
 
   if (isNearest) {
-    parts.push(`<span class="meta-pill">Nearest</span>`)
+    parts.push(`<span class="meta-pill">${t("cards.nearest")}</span>`)
   }
 
   if (todayHours) {
-    parts.push(`<span class="meta-label">Today</span> <span class="meta-value">${todayHours}</span>`)
+    parts.push(`<span class="meta-label">${t("cards.today")}</span> <span class="meta-value">${escapeHtml(todayHours)}</span>`)
   }
 
   return parts.join('<span class="meta-separator">·</span>')
 }
 
+/**
+ * Builds the ETA badge, e.g. car icon + "12 min"
+ * Estimated times (stub adapter) are marked as such, e.g. "~12 min".
+ * @param {{durationSeconds:number, mode:string, estimated?:boolean}} travelTime
+ * @returns {string} HTML
+ */
+export function buildTravelTimeBadge(travelTime) {
+  const mode = MAPS_CONFIG.TRAVEL_TIME.modes[travelTime.mode]
+  const modeLabel = mode ? t(`travel.modes.${travelTime.mode}`) : ''
+  let text = formatDuration(travelTime.durationSeconds)
+  let title = modeLabel
+  if (travelTime.estimated) {
+    text = t("travel.estimated", { duration: text })
+    title = t("travel.estimatedTitle", { mode: modeLabel })
+  }
+  return `<span class="travel-time${travelTime.estimated ? ' estimated' : ''}" title="${title}"><i class="fa-solid ${mode?.icon || 'fa-route'}" aria-hidden="true"></i> ${text}</span>`
+}
+
 function buildTelHref(phone) {
   if (!phone) return '#'
   const digitsOnly = phone.toString().replace(/[^\d+]/g, '')
@@ -171,10 +465,49 @@ export function setCardActive(card, isActive) {
   } else {
     card.classList.remove('active')
   }
+  card.tabIndex = isActive ? 0 : -1
+}
+
+/**
+ * Updates the star button of a card.
+ * @param {HTMLElement} card - Card element
+ * @param {boolean} isSaved - Whether the place is saved
+ */
+export function setCardSaved(card, isSaved) {
+  const button = card.querySelector('.location-card-save-btn')
+  if (!button) return
+
+  const label = t(isSaved ? "cards.unsavePlace" : "cards.savePlace")
+  card.classList.toggle('saved', isSaved)
+  button.classList.toggle('active', isSaved)
+  button.setAttribute('aria-pressed', String(isSaved))
+  button.setAttribute('aria-label', label)
+  button.title = label
+  const icon = button.querySelector('i')
+  icon?.classList.toggle('fa-solid', isSaved)
+  icon?.classList.toggle('fa-regular', !isSaved)
+}
+
+/**
+ * Re-renders the meta line (distance, nearest pill, today's hours) and the
+ * accessible name of a card.
+ * Lets the list update existing cards in place instead of rebuilding them.
+ * @param {HTMLElement} card - Card element
+ * @param {Object} place - Place shown by the card
+ * @param {Object} [options]
+ * @param {Object|null} [options.userLocation] - User lat/lng for distance display
+ * @param {boolean} [options.isNearest] - Whether this place is the nearest
+ */
+export function updateCardMeta(card, place, { userLocation = null, isNearest = false } = {}) {
+  card.setAttribute('aria-label', describePlace(place, userLocation))
+  const meta = card.querySelector('.location-card-meta')
+  if (!meta) return
+  meta.innerHTML = buildMetaLine(place, userLocation, isNearest)
 }
 
 /**
  * Programmatically expands/collapses a card.
+ * The first expand loads the card's extra details (when it has a loader).
  * @param {HTMLElement} card - Card element
  * @param {boolean} expanded - Whether card should be expanded
  */
@@ -188,9 +521,12 @@ export function setCardExpanded(card, expanded) {
     expandSection.classList.remove('hidden')
     expandSection.style.display = 'block'
     expandButton.classList.add('expanded')
+    expandButton.setAttribute('aria-expanded', 'true')
+    loadCardDetails(card)
   } else {
     expandSection.classList.add('hidden')
     expandSection.style.display = 'none'
     expandButton.classList.remove('expanded')
+    expandButton.setAttribute('aria-expanded', 'false')
   }
 }
@@ -0,0 +1,115 @@
+// app/javascript/utils/map_theme.js
+
+import { MAP_THEMES, THEME_PREFERENCES } from "config/map_themes"
+
+/**
+ * Map Theme
+ *
+ * Resolves the theme preference ("system" or a theme from config/map_themes.js),
+ * persists the user's choice and applies a theme to a map.
+ *
+ * Without a Map ID the base map uses the theme's inline styles, which switch
+ * live (applyMapTheme). With a Map ID Google ignores inline styles: the map
+ * is created in the theme's color scheme of the cloud style and keeps it
+ * until the page is reloaded (the color scheme cannot change on a live map).
+ * Pins and clusters restyle either way.
+ */
+
+const STORAGE_KEY = "ff-resq:map-theme"
+
+/**
+ * Reads the saved preference
+ *
+ * @returns {string} "system" or a theme name
+ */
+export function loadThemePreference() {
+  try {
+    const preference = window.localStorage.getItem(STORAGE_KEY)
+    return THEME_PREFERENCES.includes(preference) ? preference : "system"
+  } catch (error) {
+    return "system"
+  }
+}
+
+/**
+ * Saves the preference
+ *
+ * @param {string} preference - "system" or a theme name
+ * @returns {void}
+ */
+export function saveThemePreference(preference) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, preference)
+  } catch (error) {
+    console.warn("[map_theme] Could not persist theme preference:", error)
+  }
+}
+
+/**
+ * Next preference in the chip's cycle
+ *
+ * @param {string} preference - Current preference
+ * @returns {string}
+ */
+export function nextThemePreference(preference) {
+  const index = THEME_PREFERENCES.indexOf(preference)
+  return THEME_PREFERENCES[(index + 1) % THEME_PREFERENCES.length]
+}
+
+/**
+ * Resolves a preference to a theme name
+ * "system" picks high contrast when the OS asks for more contrast, otherwise
+ * dark or light from prefers-color-scheme.
+ *
+ * @param {string} preference - "system" or a theme name
+ * @returns {string} Theme name (key of MAP_THEMES)
+ */
+export function resolveThemeName(preference) {
+  if (MAP_THEMES[preference]) return preference
+  if (window.matchMedia?.("(prefers-contrast: more)").matches) return "highContrast"
+  return window.matchMedia?.("(prefers-color-scheme: light)").matches ? "light" : "dark"
+}
+
+/**
+ * Calls back when the OS color scheme or contrast preference changes
+ *
+ * @param {Function} onChange - Called without arguments
+ * @returns {Function} Stops watching
+ */
+export function watchSystemTheme(onChange) {
+  if (!window.matchMedia) return () => {}
+
+  const queries = ["(prefers-color-scheme: light)", "(prefers-contrast: more)"].map(query => window.matchMedia(query))
+  queries.forEach(query => query.addEventListener("change", onChange))
+  return () => queries.forEach(query => query.removeEventListener("change", onChange))
+}
+
+/**
+ * Map options for creating a map in a theme
+ *
+ * @param {string} themeName - Key of MAP_THEMES
+ * @param {Object} [options={}]
+ * @param {string} [options.mapId] - Map ID the map is created with
+ * @returns {Object} `mapId` and `colorScheme`, or `styles` without a Map ID
+ */
+export function mapThemeOptions(themeName, { mapId } = {}) {
+  const theme = MAP_THEMES[themeName] || MAP_THEMES.dark
+  if (!mapId) return { styles: theme.styles }
+
+  const colorScheme = window.google?.maps?.ColorScheme?.[theme.colorScheme]
+  return { mapId, ...(colorScheme ? { colorScheme } : {}) }
+}
+
+/**
+ * Restyles an existing map (no-op for the base map when it has a Map ID)
+ *
+ * @param {google.maps.Map} map - Map instance
+ * @param {string} themeName - Key of MAP_THEMES
+ * @param {Object} [options={}]
+ * @param {string} [options.mapId] - Map ID the map was created with
+ * @returns {void}
+ */
+export function applyMapTheme(map, themeName, { mapId } = {}) {
+  if (!map || mapId) return
+  map.setOptions({ styles: (MAP_THEMES[themeName] || MAP_THEMES.dark).styles })
+}
@@ -0,0 +1,321 @@
+// app/javascript/utils/marker_clustering.js
+
+import { MarkerClusterer, MarkerUtils, SuperClusterAlgorithm } from "@googlemaps/markerclusterer"
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { distanceInMeters } from "utils/distance_utils"
+import { formatList, t } from "utils/i18n"
+
+/**
+ * Marker Clustering
+ *
+ * Groups nearby place markers into count bubbles colored by category.
+ * Tapping a bubble zooms in, or spreads its markers in a ring when they
+ * cannot be separated by zooming (same building, max zoom reached).
+ *
+ * "Pinned" markers (the active place) are kept out of clusters so the
+ * info window always has a visible anchor.
+ */
+
+// Rough meters per degree of latitude, good enough for pixel offsets
+const METERS_PER_DEGREE = 111320
+
+/**
+ * Builds the SVG ring for a cluster: one arc per category, count in the middle
+ *
+ * @param {Object<string, number>} counts - Marker count per category key
+ * @param {number} total - Total marker count
+ * @param {string} backgroundColor - Bubble fill
+ * @returns {string} SVG markup
+ */
+function clusterSvg(counts, total, backgroundColor) {
+  const { size, ringWidth } = MAPS_CONFIG.CLUSTERING
+  const categories = MAPS_CONFIG.ANIMAL_SERVICES_SEARCH.categories
+  const radius = size / 2 - ringWidth / 2
+  const circumference = 2 * Math.PI * radius
+
+  let offset = 0
+  const arcs = Object.entries(counts).map(([categoryKey, count]) => {
+    const length = (count / total) * circumference
+    const color = categories[categoryKey]?.color || MAPS_CONFIG.CLUSTERING.fallbackColor
+    const arc = `<circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="none" stroke="${color}"
+      stroke-width="${ringWidth}" stroke-dasharray="${length} ${circumference - length}"
+      stroke-dashoffset="${-offset}" transform="rotate(-90 ${size / 2} ${size / 2})"/>`
+    offset += length
+    return arc
+  }).join('')
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+      <circle cx="${size / 2}" cy="${size / 2}" r="${radius}" fill="${backgroundColor}"/>
+      ${arcs}
+    </svg>
+  `
+}
+
+/**
+ * Icon and label of a cluster bubble
+ *
+ * @param {Array} markers - Markers in the cluster
+ * @param {Function} categoryOf - Returns the category key for a marker
+ * @param {{backgroundColor:string, labelColor:string}} colors - Bubble colors
+ * @returns {{icon:google.maps.Icon, label:google.maps.MarkerLabel, title:string}}
+ */
+function clusterAppearance(markers, categoryOf, colors) {
+  const { size } = MAPS_CONFIG.CLUSTERING
+  const counts = {}
+  markers.forEach((marker) => {
+    const categoryKey = categoryOf(marker) || 'other'
+    counts[categoryKey] = (counts[categoryKey] || 0) + 1
+  })
+
+  const title = formatList(Object.entries(counts)
+    .map(([categoryKey, count]) => t(`categories.${categoryKey}.count`, { count })))
+
+  return {
+    title,
+    icon: {
+      url: 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(clusterSvg(counts, markers.length, colors.backgroundColor)),
+      scaledSize: new google.maps.Size(size, size),
+      anchor: new google.maps.Point(size / 2, size / 2)
+    },
+    label: {
+      text: String(markers.length),
+      color: colors.labelColor,
+      fontSize: "13px",
+      fontWeight: "700"
+    }
+  }
+}
+
+/**
+ * Renders a cluster as a count bubble with category-colored ring
+ *
+ * @param {Object} cluster - Cluster from @googlemaps/markerclusterer
+ * @param {Function} categoryOf - Returns the category key for a marker
+ * @param {{backgroundColor:string, labelColor:string}} colors - Bubble colors
+ * @returns {google.maps.Marker} Cluster marker
+ */
+function renderCluster({ markers, position }, categoryOf, colors) {
+  return new google.maps.Marker({
+    position,
+    ...clusterAppearance(markers, categoryOf, colors),
+    zIndex: google.maps.Marker.MAX_ZINDEX + markers.length
+  })
+}
+
+/**
+ * Moves a marker (legacy or advanced) to a new position
+ *
+ * @param {Object} marker - Marker instance
+ * @param {google.maps.LatLng|Object} position - New position
+ * @returns {void}
+ */
+function setMarkerPosition(marker, position) {
+  if (MarkerUtils.isAdvancedMarker(marker)) {
+    marker.position = position
+  } else {
+    marker.setPosition(position)
+  }
+}
+
+/**
+ * Creates a clusterer for place markers
+ *
+ * @param {google.maps.Map} map - Map instance
+ * @param {Object} [options={}]
+ * @param {Function} [options.categoryOf] - Returns the category key for a marker
+ * @param {Function} [options.colors] - Returns the current bubble colors { backgroundColor, labelColor }
+ * @returns {Object} Clusterer API: setMarkers, addMarker, removeMarker, clear,
+ *   pin, unpin, clusterMarkerFor, collapseSpread, refreshAppearance, destroy
+ */
+export function createPlacesClusterer(map, { categoryOf = () => null, colors } = {}) {
+  const config = MAPS_CONFIG.CLUSTERING
+  const currentColors = () => ({ backgroundColor: config.backgroundColor, labelColor: "#ffffff", ...colors?.() })
+  const managed = new Set()
+  const pinned = new Set()
+  // Markers currently spread out of a cluster, with their original positions
+  let spread = new Map()
+
+  const clusterer = new MarkerClusterer({
+    map,
+    algorithm: new SuperClusterAlgorithm({ radius: config.radiusPx, maxZoom: config.maxClusterZoom }),
+    renderer: { render: (cluster) => renderCluster(cluster, categoryOf, currentColors()) },
+    onClusterClick: (_, cluster) => handleClusterClick(cluster)
+  })
+
+  const listeners = [
+    map.addListener("zoom_changed", () => collapseSpread()),
+    map.addListener("click", () => collapseSpread())
+  ]
+
+  /**
+   * Zooms into a cluster, or spreads it when zooming cannot separate it
+   * @param {Object} cluster - Clicked cluster
+   */
+  function handleClusterClick(cluster) {
+    const bounds = cluster.bounds
+    if (!bounds) return
+
+    const spanMeters = distanceInMeters(bounds.getNorthEast(), bounds.getSouthWest())
+    if (map.getZoom() >= config.spreadAtZoom || spanMeters < config.spreadBelowMeters) {
+      spreadCluster(cluster)
+    } else {
+      map.fitBounds(bounds, config.fitPadding)
+    }
+  }
+
+  /**
+   * Lays the markers of a cluster out in a ring around its center
+   * @param {Object} cluster - Cluster to spread
+   */
+  function spreadCluster(cluster) {
+    collapseSpread()
+
+    const markers = [...cluster.markers]
+    const center = cluster.position
+    const metersPerPixel = 156543.03392 * Math.cos(center.lat() * Math.PI / 180) / Math.pow(2, map.getZoom())
+    const radiusMeters = (config.spreadRadiusPx + markers.length * 2) * metersPerPixel
+
+    clusterer.removeMarkers(markers, true)
+    markers.forEach((marker, index) => {
+      const angle = (2 * Math.PI * index) / markers.length
+      spread.set(marker, MarkerUtils.getPosition(marker))
+      setMarkerPosition(marker, {
+        lat: center.lat() + (radiusMeters * Math.sin(angle)) / METERS_PER_DEGREE,
+        lng: center.lng() + (radiusMeters * Math.cos(angle)) / (METERS_PER_DEGREE * Math.cos(center.lat() * Math.PI / 180))
+      })
+      MarkerUtils.setMap(marker, map)
+    })
+    clusterer.render()
+  }
+
+  /**
+   * Puts spread markers back to their positions and into the clusterer
+   */
+  function collapseSpread() {
+    if (spread.size === 0) return
+
+    const restored = spread
+    spread = new Map()
+    restored.forEach((position, marker) => {
+      setMarkerPosition(marker, position)
+      if (!managed.has(marker)) {
+        MarkerUtils.setMap(marker, null)
+      } else if (!pinned.has(marker)) {
+        clusterer.addMarker(marker, true)
+      }
+    })
+    clusterer.render()
+  }
+
+  /**
+   * Adds a marker to clustering (pinned markers stay standalone)
+   * @param {Object} marker - Marker instance
+   * @param {boolean} [noDraw=false] - Skip re-rendering clusters
+   */
+  function addMarker(marker, noDraw = false) {
+    managed.add(marker)
+    if (pinned.has(marker) || spread.has(marker)) {
+      MarkerUtils.setMap(marker, map)
+      return
+    }
+    clusterer.addMarker(marker, noDraw)
+  }
+
+  /**
+   * Removes a marker from clustering and from the map
+   * @param {Object} marker - Marker instance
+   * @param {boolean} [noDraw=false] - Skip re-rendering clusters
+   */
+  function removeMarker(marker, noDraw = false) {
+    managed.delete(marker)
+    pinned.delete(marker)
+    if (spread.has(marker)) {
+      setMarkerPosition(marker, spread.get(marker))
+      spread.delete(marker)
+    }
+    clusterer.removeMarker(marker, noDraw)
+    MarkerUtils.setMap(marker, null)
+  }
+
+  return {
+    addMarker,
+    removeMarker,
+
+    /**
+     * Replaces the managed markers (e.g. after a category filter change)
+     * @param {Array} markers - Markers that should be shown
+     */
+    setMarkers(markers) {
+      const next = new Set(markers)
+      Array.from(managed).filter(marker => !next.has(marker)).forEach(marker => removeMarker(marker, true))
+      next.forEach((marker) => {
+        if (!managed.has(marker)) addMarker(marker, true)
+      })
+      clusterer.render()
+    },
+
+    /**
+     * Removes every marker
+     */
+    clear() {
+      collapseSpread()
+      Array.from(managed).forEach(marker => removeMarker(marker, true))
+      clusterer.render()
+    },
+
+    /**
+     * Keeps a marker out of clusters and visible on the map
+     * @param {Object} marker - Marker instance
+     */
+    pin(marker) {
+      if (!marker || pinned.has(marker)) return
+      pinned.add(marker)
+      if (spread.has(marker)) return
+      clusterer.removeMarker(marker)
+      if (managed.has(marker)) MarkerUtils.setMap(marker, map)
+    },
+
+    /**
+     * Returns a pinned marker to clustering
+     * @param {Object} marker - Marker instance
+     */
+    unpin(marker) {
+      if (!marker || !pinned.delete(marker)) return
+      if (managed.has(marker) && !spread.has(marker)) clusterer.addMarker(marker)
+    },
+
+    /**
+     * Finds the bubble marker of the cluster that currently hides a marker
+     * @param {Object} marker - Place marker
+     * @returns {Object|null} Cluster marker, or null when the marker is not clustered
+     */
+    clusterMarkerFor(marker) {
+      const cluster = clusterer.clusters.find(c => c.markers.length > 1 && c.markers.includes(marker))
+      return cluster?.marker || null
+    },
+
+    collapseSpread,
+
+    /**
+     * Re-applies colors to the visible bubbles (e.g. after a theme change)
+     */
+    refreshAppearance() {
+      clusterer.clusters
+        .filter(cluster => cluster.markers.length > 1 && cluster.marker)
+        .forEach((cluster) => {
+          const { icon, label } = clusterAppearance(cluster.markers, categoryOf, currentColors())
+          cluster.marker.setIcon(icon)
+          cluster.marker.setLabel(label)
+        })
+    },
+
+    /**
+     * Detaches the clusterer and its listeners from the map
+     */
+    destroy() {
+      listeners.forEach(listener => listener.remove())
+      clusterer.setMap(null)
+    }
+  }
+}
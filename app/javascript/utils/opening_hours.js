@@ -0,0 +1,217 @@
+// app/javascript/utils/opening_hours.js
+
+import { t, formatTime, formatWeekday } from "utils/i18n"
+
+/**
+ * Opening Hours Engine
+ *
+ * Computes open/closed state from structured `regularOpeningHours.periods`
+ * (Places API shape: { open: {day, hour, minute}, close?: {day, hour, minute} },
+ * day 0 = Sunday) in the place's own time zone via `utcOffsetMinutes`.
+ *
+ * Times are handled as "minutes since Sunday 00:00" on a weekly circle, which
+ * makes overnight ranges (Fri 20:00 → Sat 02:00) and week wrap-around
+ * (Sat 22:00 → Sun 06:00) plain interval arithmetic.
+ */
+
+const MINUTES_PER_DAY = 24 * 60
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY
+// Round-the-clock days are often listed as 00:00–23:59; periods this close
+// together are treated as one
+const MAX_GAP_MINUTES = 1
+
+/**
+ * Converts an opening point into minutes since Sunday 00:00
+ *
+ * @param {{day:number, hour:number, minute:number}} point
+ * @returns {number}
+ */
+function toWeekMinutes(point) {
+  return point.day * MINUTES_PER_DAY + (point.hour || 0) * 60 + (point.minute || 0)
+}
+
+/**
+ * Converts minutes since Sunday 00:00 back into an opening point
+ *
+ * @param {number} minutes
+ * @returns {{day:number, hour:number, minute:number}}
+ */
+function fromWeekMinutes(minutes) {
+  const wrapped = ((minutes % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+  return {
+    day: Math.floor(wrapped / MINUTES_PER_DAY),
+    hour: Math.floor((wrapped % MINUTES_PER_DAY) / 60),
+    minute: wrapped % 60
+  }
+}
+
+/**
+ * Current time at the place as minutes since Sunday 00:00
+ * Falls back to the browser time zone when the offset is unknown.
+ *
+ * @param {Date} now
+ * @param {number|null} utcOffsetMinutes
+ * @returns {number}
+ */
+function placeWeekMinutes(now, utcOffsetMinutes) {
+  if (typeof utcOffsetMinutes !== 'number') {
+    return toWeekMinutes({ day: now.getDay(), hour: now.getHours(), minute: now.getMinutes() })
+  }
+
+  const local = new Date(now.getTime() + utcOffsetMinutes * 60 * 1000)
+  return toWeekMinutes({ day: local.getUTCDay(), hour: local.getUTCHours(), minute: local.getUTCMinutes() })
+}
+
+/**
+ * Turns periods into merged, sorted [start, end) intervals on the weekly circle
+ * Intervals may end after MINUTES_PER_WEEK when they wrap into next week.
+ *
+ * @param {Array} periods - Places API opening periods
+ * @returns {Array<[number, number]>}
+ */
+function buildIntervals(periods) {
+  const intervals = periods
+    .filter(period => period?.open)
+    .map((period) => {
+      const start = toWeekMinutes(period.open)
+      // A period without close means "open around the clock"
+      if (!period.close) return [start, start + MINUTES_PER_WEEK]
+      let end = toWeekMinutes(period.close)
+      if (end <= start) end += MINUTES_PER_WEEK
+      return [start, end]
+    })
+    .sort((a, b) => a[0] - b[0])
+
+  // Merge touching/overlapping intervals (e.g. 24h days split at midnight)
+  const merged = []
+  intervals.forEach(([start, end]) => {
+    const last = merged[merged.length - 1]
+    if (last && start <= last[1] + MAX_GAP_MINUTES) {
+      last[1] = Math.max(last[1], end)
+    } else {
+      merged.push([start, end])
+    }
+  })
+
+  // Join the last interval with the first one when it wraps into it
+  if (merged.length > 1) {
+    const first = merged[0]
+    const last = merged[merged.length - 1]
+    if (last[1] + MAX_GAP_MINUTES >= first[0] + MINUTES_PER_WEEK) {
+      last[1] = Math.max(last[1], first[1] + MINUTES_PER_WEEK)
+      merged.shift()
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Computes the open/closed state of a place
+ *
+ * @param {Object} place - Normalized place
+ * @param {Object} [place.regularOpeningHours] - Opening hours with periods
+ * @param {number} [place.utcOffsetMinutes] - Place UTC offset in minutes
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{isOpen:boolean, isAlwaysOpen:boolean, closesAt:Object|null, opensAt:Object|null, minutesUntilChange:number|null}|null}
+ *   null when the place has no structured opening periods
+ */
+export function getOpenState(place, now = new Date()) {
+  const periods = place?.regularOpeningHours?.periods
+  if (!Array.isArray(periods) || periods.length === 0) return null
+
+  const intervals = buildIntervals(periods)
+  if (intervals.length === 0) return null
+
+  const isAlwaysOpen = intervals.some(([start, end]) => end - start >= MINUTES_PER_WEEK - MAX_GAP_MINUTES)
+  if (isAlwaysOpen) {
+    return { isOpen: true, isAlwaysOpen: true, closesAt: null, opensAt: null, minutesUntilChange: null }
+  }
+
+  const current = placeWeekMinutes(now, place.utcOffsetMinutes)
+  // Check both this week and the wrapped copy of `current` for intervals crossing Sunday
+  const openInterval = intervals.find(([start, end]) =>
+    (current >= start && current < end) || (current + MINUTES_PER_WEEK >= start && current + MINUTES_PER_WEEK < end)
+  )
+
+  if (openInterval) {
+    const closesIn = (openInterval[1] - current + MINUTES_PER_WEEK) % MINUTES_PER_WEEK
+    return { isOpen: true, isAlwaysOpen: false, closesAt: fromWeekMinutes(openInterval[1]), opensAt: null, minutesUntilChange: closesIn }
+  }
+
+  const nextStart = intervals
+    .map(([start]) => (start > current ? start : start + MINUTES_PER_WEEK))
+    .reduce((min, start) => Math.min(min, start), Infinity)
+
+  return { isOpen: false, isAlwaysOpen: false, closesAt: null, opensAt: fromWeekMinutes(nextStart), minutesUntilChange: nextStart - current }
+}
+
+/**
+ * Formats an opening point as "18:00", or "Mon 08:00" when it is not later today
+ * (time and weekday in the UI locale)
+ *
+ * @param {{day:number, hour:number, minute:number}} point
+ * @param {number} today - Day index (0 = Sunday) at the place
+ * @param {number} minutesAway - Minutes from now until the point
+ * @returns {string}
+ */
+function formatOpeningPoint(point, today, minutesAway) {
+  const time = formatTime(point.hour, point.minute)
+  if (point.day === today && minutesAway < MINUTES_PER_DAY) return time
+  return t("openingHours.dayAndTime", { day: formatWeekday(point.day), time })
+}
+
+/**
+ * Builds the badge text for a place, e.g. "Open · closes 18:00"
+ *
+ * @param {Object} place - Normalized place
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{text:string, isOpen:boolean, isAlwaysOpen:boolean}|null} null when hours are unknown
+ */
+export function getOpenBadge(place, now = new Date()) {
+  const state = getOpenState(place, now)
+  if (!state) return null
+
+  const today = fromWeekMinutes(placeWeekMinutes(now, place.utcOffsetMinutes)).day
+  let text = t("openingHours.alwaysOpen")
+
+  if (!state.isAlwaysOpen && state.isOpen) {
+    text = t("openingHours.openClosesAt", { time: formatOpeningPoint(state.closesAt, today, state.minutesUntilChange) })
+  } else if (!state.isOpen) {
+    text = t("openingHours.closedOpensAt", { time: formatOpeningPoint(state.opensAt, today, state.minutesUntilChange) })
+  }
+
+  return { text, isOpen: state.isOpen, isAlwaysOpen: state.isAlwaysOpen }
+}
+
+/**
+ * Whether a place is known to be open right now
+ *
+ * @param {Object} place - Normalized place
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} false when closed or hours are unknown
+ */
+export function isOpenNow(place, now = new Date()) {
+  return getOpenState(place, now)?.isOpen === true
+}
+
+/**
+ * Whether a place's opening periods cover the whole week (open 24/7)
+ *
+ * @param {Object} place - Normalized place
+ * @returns {boolean} false when not always open or hours are unknown
+ */
+export function isAlwaysOpen(place) {
+  return getOpenState(place)?.isAlwaysOpen === true
+}
+
+/**
+ * Whether a place is known to be closed right now
+ *
+ * @param {Object} place - Normalized place
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} false when open or hours are unknown
+ */
+export function isClosedNow(place, now = new Date()) {
+  return getOpenState(place, now)?.isOpen === false
+}
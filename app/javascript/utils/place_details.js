@@ -0,0 +1,35 @@
+// app/javascript/utils/place_details.js
+
+import { fetchPlaceDetails } from "utils/google_maps_utils"
+
+/**
+ * Place Details
+ *
+ * Loads the extra fields of a place (see MAPS_CONFIG.PLACE_DETAILS) the first
+ * time its card is expanded. Results are kept for the lifetime of the page,
+ * so collapsing and re-expanding (or re-rendering the list) costs nothing.
+ * Failed requests are not kept; the next expand tries again.
+ */
+
+// place.id -> Promise<details|null>
+const detailsByPlaceId = new Map()
+
+/**
+ * Loads (once) the details of a Google place
+ *
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<Object|null>} Plain details or null when unavailable
+ */
+export function loadPlaceDetails(placeId) {
+  if (!placeId) return Promise.resolve(null)
+
+  const key = String(placeId)
+  if (!detailsByPlaceId.has(key)) {
+    const request = fetchPlaceDetails(key).then((details) => {
+      if (!details) detailsByPlaceId.delete(key)
+      return details
+    })
+    detailsByPlaceId.set(key, request)
+  }
+  return detailsByPlaceId.get(key)
+}
@@ -0,0 +1,129 @@
+// app/javascript/utils/place_sharing.js
+
+import { generateDirectionsUrl } from "utils/vet_card_utils"
+import { t } from "utils/i18n"
+
+/**
+ * Place Sharing
+ *
+ * Shares a place (name, address, phone, directions link) through the Web
+ * Share API, falling back to the clipboard, and exports it as a vCard so it
+ * can be saved to the phone's contacts.
+ */
+
+/**
+ * Plain-text summary of a place, one detail per line
+ *
+ * @param {Object} place - Normalized place
+ * @returns {string}
+ */
+export function buildShareText(place) {
+  return [place.displayName, place.formattedAddress, place.phoneNumber]
+    .filter(Boolean)
+    .join("\n")
+}
+
+/**
+ * Shares a place via the Web Share API or copies it to the clipboard
+ *
+ * @param {Object} place - Normalized place
+ * @returns {Promise<'shared'|'copied'|'cancelled'|'failed'>} What happened
+ */
+export async function sharePlace(place) {
+  const text = buildShareText(place)
+  const directionsUrl = generateDirectionsUrl(place)
+  const url = directionsUrl === '#' ? undefined : directionsUrl
+  const data = { title: place.displayName, text, url }
+
+  if (navigator.share && (!navigator.canShare || navigator.canShare(data))) {
+    try {
+      await navigator.share(data)
+      return 'shared'
+    } catch (error) {
+      if (error?.name === 'AbortError') return 'cancelled'
+      console.warn("[place_sharing] Web Share failed, copying instead:", error)
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText([text, url].filter(Boolean).join("\n"))
+    return 'copied'
+  } catch (error) {
+    console.warn("[place_sharing] Could not copy place:", error)
+    return 'failed'
+  }
+}
+
+/**
+ * Escapes a vCard text value (RFC 6350 §3.4)
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1')
+}
+
+/**
+ * Builds a vCard 3.0 for a place
+ * The unstructured address goes into the street field, which contact apps
+ * display as-is.
+ *
+ * @param {Object} place - Normalized place
+ * @returns {string} vCard text (CRLF line endings)
+ */
+export function buildVCard(place) {
+  const name = escapeVCardValue(place.displayName || t("sharing.fallbackName"))
+  const directionsUrl = generateDirectionsUrl(place)
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${name}`,
+    `ORG:${name}`
+  ]
+
+  if (place.phoneNumber) lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCardValue(place.phoneNumber)}`)
+  if (place.formattedAddress) lines.push(`ADR;TYPE=WORK:;;${escapeVCardValue(place.formattedAddress)};;;;`)
+  if (directionsUrl !== '#') lines.push(`URL:${directionsUrl}`)
+  lines.push("END:VCARD")
+
+  return `${lines.join("\r\n")}\r\n`
+}
+
+/**
+ * File name for a place's vCard, e.g. "igelstation-grevenbroich.vcf"
+ *
+ * @param {Object} place - Normalized place
+ * @returns {string}
+ */
+function vCardFileName(place) {
+  const slug = String(place.displayName || 'contact')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return `${slug || 'contact'}.vcf`
+}
+
+/**
+ * Downloads a place as a .vcf contact card
+ *
+ * @param {Object} place - Normalized place
+ * @returns {void}
+ */
+export function downloadVCard(place) {
+  const blob = new Blob([buildVCard(place)], { type: "text/vcard;charset=utf-8" })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = vCardFileName(place)
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,220 @@
+// app/javascript/utils/places_cache.js
+
+import { MAPS_CONFIG } from "config/google_maps_config"
+
+/**
+ * Places Cache
+ *
+ * Persists normalized nearby-search results in IndexedDB so returning to the
+ * vets page can render cards and markers immediately. Entries are keyed by a
+ * rounded location cell plus a signature of the search config, and expire
+ * after MAPS_CONFIG.PLACES_CACHE.ttlMs.
+ *
+ * Every function resolves (never rejects): a broken or unavailable IndexedDB
+ * (private mode, old browsers) simply behaves like an empty cache.
+ */
+
+// Plain fields kept when serializing a place; everything else is dropped
+const CACHED_PLACE_FIELDS = [
+  "id",
+  "displayName",
+  "formattedAddress",
+  "rating",
+  "types",
+  "phoneNumber",
+  "utcOffsetMinutes",
+  "category",
+  "categoryColor",
+  "osmOpeningHours",
+  "matchedQuery"
+]
+
+let dbRequest = null
+
+/**
+ * Opens (once) the cache database
+ *
+ * @returns {Promise<IDBDatabase|null>} Database handle or null when unavailable
+ */
+function openDatabase() {
+  if (dbRequest) return dbRequest
+
+  const { dbName, storeName } = MAPS_CONFIG.PLACES_CACHE
+  dbRequest = new Promise((resolve) => {
+    if (!window.indexedDB) {
+      resolve(null)
+      return
+    }
+
+    const request = window.indexedDB.open(dbName, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName, { keyPath: "key" })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn("[places_cache] IndexedDB unavailable:", request.error)
+      resolve(null)
+    }
+  })
+  return dbRequest
+}
+
+/**
+ * Runs a single request against the cache store
+ *
+ * @param {IDBTransactionMode} mode - readonly | readwrite
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result or null on failure
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  const { storeName } = MAPS_CONFIG.PLACES_CACHE
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result ?? null)
+      request.onerror = () => resolve(null)
+    } catch (error) {
+      console.warn("[places_cache] Cache operation failed:", error)
+      resolve(null)
+    }
+  })
+}
+
+/**
+ * Small, stable string hash (djb2) used to fingerprint the search config
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function hashString(value) {
+  let hash = 5381
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * Reads lat/lng from a plain object or google.maps.LatLng
+ *
+ * @param {Object} location
+ * @returns {{lat:number, lng:number}|null}
+ */
+function toLatLngLiteral(location) {
+  if (!location) return null
+  const lat = typeof location.lat === 'function' ? location.lat() : location.lat
+  const lng = typeof location.lng === 'function' ? location.lng() : location.lng
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null
+  return { lat, lng }
+}
+
+/**
+ * Converts opening hours (Places API object or plain data) into plain data
+ *
+ * @param {Object|null} hours
+ * @returns {Object|null}
+ */
+function serializeOpeningHours(hours) {
+  if (!hours) return null
+
+  const point = (p) => (p ? { day: p.day, hour: p.hour, minute: p.minute } : null)
+  return {
+    weekdayDescriptions: Array.isArray(hours.weekdayDescriptions) ? [...hours.weekdayDescriptions] : [],
+    periods: Array.isArray(hours.periods)
+      ? hours.periods.map((period) => ({ open: point(period.open), close: point(period.close) }))
+      : []
+  }
+}
+
+/**
+ * Converts a normalized place into a structured-clone-safe plain object
+ * Drops distance fields since they depend on the current user location.
+ *
+ * @param {Object} place - Normalized place
+ * @returns {Object|null} Plain place or null when it has no usable location
+ */
+export function serializePlace(place) {
+  const location = toLatLngLiteral(place?.location)
+  if (!location) return null
+
+  const plain = { location, regularOpeningHours: serializeOpeningHours(place.regularOpeningHours) }
+  CACHED_PLACE_FIELDS.forEach((field) => {
+    if (place[field] !== undefined) plain[field] = place[field]
+  })
+  return plain
+}
+
+/**
+ * Builds the cache key for a search
+ * Location is rounded to MAPS_CONFIG.PLACES_CACHE.cellDegrees so nearby
+ * positions share one entry.
+ *
+ * @param {Object} location - Search center
+ * @param {Object} [options={}]
+ * @param {string} [options.provider] - Places provider name
+ * @param {Object} [options.config] - Search configuration to fingerprint
+ * @param {Array} [options.extraQueries] - Extra text queries (part of the fingerprint)
+ * @returns {string|null} Cache key or null when location is invalid
+ */
+export function buildPlacesCacheKey(location, options = {}) {
+  const point = toLatLngLiteral(location)
+  if (!point) return null
+
+  const { cellDegrees } = MAPS_CONFIG.PLACES_CACHE
+  const cellLat = Math.round(point.lat / cellDegrees)
+  const cellLng = Math.round(point.lng / cellDegrees)
+  const config = options.config || MAPS_CONFIG.ANIMAL_SERVICES_SEARCH
+  const signature = hashString(JSON.stringify({
+    radius: config.radius,
+    maxResultCount: config.maxResultCount,
+    fields: config.fields,
+    categories: config.categories,
+    extraQueries: options.extraQueries || []
+  }))
+
+  return `${options.provider || 'default'}:${cellLat}:${cellLng}:${signature}`
+}
+
+/**
+ * Reads cached places for a key
+ * Expired entries are deleted and reported as a miss.
+ *
+ * @param {string} key - Cache key from buildPlacesCacheKey
+ * @returns {Promise<{places:Array, savedAt:number, isStale:boolean}|null>}
+ */
+export async function readCachedPlaces(key) {
+  if (!key) return null
+
+  const entry = await withStore("readonly", (store) => store.get(key))
+  if (!entry || !Array.isArray(entry.places)) return null
+
+  const { ttlMs, refreshAfterMs } = MAPS_CONFIG.PLACES_CACHE
+  const age = Date.now() - entry.savedAt
+  if (age > ttlMs) {
+    await withStore("readwrite", (store) => store.delete(key))
+    return null
+  }
+
+  return {
+    places: entry.places,
+    savedAt: entry.savedAt,
+    isStale: age > refreshAfterMs
+  }
+}
+
+/**
+ * Stores places for a key
+ *
+ * @param {string} key - Cache key from buildPlacesCacheKey
+ * @param {Array} places - Normalized places
+ * @returns {Promise<void>}
+ */
+export async function writeCachedPlaces(key, places) {
+  if (!key) return
+
+  const plainPlaces = (places || []).map(serializePlace).filter(Boolean)
+  await withStore("readwrite", (store) => store.put({ key, places: plainPlaces, savedAt: Date.now() }))
+}
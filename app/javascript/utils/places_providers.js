@@ -0,0 +1,401 @@
+// app/javascript/utils/places_providers.js
+
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { distanceInMeters } from "utils/distance_utils"
+import { PlacesUnavailableError } from "utils/vets_errors"
+
+/**
+ * Places Provider Layer
+ *
+ * Every provider exposes the same interface so the vets page does not care
+ * where its places come from:
+ *
+ *   {
+ *     name: string,
+ *     isAvailable(): boolean,
+ *     searchCategory(location, categoryKey, config, options): Promise<Array>,
+ *     supportsTextQuery?: boolean
+ *   }
+ *
+ * `searchCategory` always resolves with places in the shape produced by
+ * `normalizePlace`, already filtered to the search radius. Providers with
+ * `supportsTextQuery` honour a category's `textQuery`, which lets callers run
+ * free-text searches (e.g. species-specific ones) through them.
+ */
+
+// Fallback list of fields to request from Google Places when config is missing/invalid
+const DEFAULT_PLACE_FIELDS = [
+  "displayName",
+  "location",
+  "formattedAddress",
+  "rating",
+  "id",
+  "types",
+  "regularOpeningHours"
+]
+
+/**
+ * Normalizes a place result into a consistent shape
+ * Ensures we always have a displayName string and location for downstream code
+ *
+ * @param {Object} place - Raw place object (Places API, fixture or OSM element)
+ * @param {string} categoryKey - vets | shelters | rescue
+ * @param {Object} [categoryMeta] - Category metadata
+ * @returns {Object|null} Normalized place or null if required fields missing
+ */
+export function normalizePlace(place, categoryKey, categoryMeta = {}) {
+  if (!place) return null
+
+  const id = place.id || place.placeId || place.place_id || null
+  const displayName = place.displayName?.text || place.displayName || place.name
+  const location = place.location || place.geometry?.location
+  const formattedAddress = place.formattedAddress || place.formatted_address || null
+  const rating = typeof place.rating === 'number' ? place.rating : null
+  const types = Array.isArray(place.types) ? place.types : []
+  const regularOpeningHours = place.regularOpeningHours || place.regular_opening_hours || null
+  const phoneNumber = place.nationalPhoneNumber || place.formattedPhoneNumber || place.internationalPhoneNumber || place.phoneNumber || null
+  const utcOffsetMinutes = typeof place.utcOffsetMinutes === 'number' ? place.utcOffsetMinutes : null
+
+  if (!displayName || !location) return null
+
+  return {
+    ...place,
+    id,
+    displayName,
+    location,
+    formattedAddress,
+    rating,
+    types,
+    regularOpeningHours,
+    phoneNumber,
+    utcOffsetMinutes,
+    category: categoryKey,
+    categoryColor: categoryMeta.color
+  }
+}
+
+/**
+ * Drops places outside the given radius
+ *
+ * @param {Array} places - Normalized places
+ * @param {Object} center - Search center { lat, lng }
+ * @param {number} maxRadiusMeters - Radius in meters (falsy disables filtering)
+ * @returns {Array} Places within the radius
+ */
+export function filterByRadius(places, center, maxRadiusMeters) {
+  if (!maxRadiusMeters) return places
+  return places.filter((place) => distanceInMeters(center, place.location) <= maxRadiusMeters)
+}
+
+/**
+ * Sorts by distance from center and caps the list at maxResultCount
+ * Used by providers that cannot rank server-side.
+ *
+ * @param {Array} places - Normalized places
+ * @param {Object} center - Search center { lat, lng }
+ * @param {number} [maxResultCount] - Maximum number of places to keep
+ * @returns {Array}
+ */
+function nearestFirst(places, center, maxResultCount) {
+  const sorted = [...places].sort((a, b) => distanceInMeters(center, a.location) - distanceInMeters(center, b.location))
+  return maxResultCount ? sorted.slice(0, maxResultCount) : sorted
+}
+
+// -----------------------------------------------------------------------------
+// Google Places provider
+// -----------------------------------------------------------------------------
+
+/**
+ * Searches a category through Google Places
+ * Categories with includedTypes use searchNearby, the rest use searchByText.
+ *
+ * @param {Object} location - Search center { lat, lng }
+ * @param {string} categoryKey - Category key (vets, shelters, rescue)
+ * @param {Object} config - Search configuration (MAPS_CONFIG.ANIMAL_SERVICES_SEARCH)
+ * @returns {Promise<Array>} Normalized places
+ */
+function searchGoogleCategory(location, categoryKey, config) {
+  const category = config.categories[categoryKey]
+  if (category.includedTypes) {
+    return searchGoogleNearby(location, categoryKey, config)
+  }
+  return searchGoogleByText(location, categoryKey, config)
+}
+
+/**
+ * Searches for places by type (used for vets)
+ *
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category key
+ * @param {Object} config - Search configuration
+ * @returns {Promise<Array>} Array of places with category metadata
+ */
+async function searchGoogleNearby(location, categoryKey, config) {
+  const category = config.categories[categoryKey]
+  const fields = Array.isArray(config.fields) && config.fields.length ? config.fields : DEFAULT_PLACE_FIELDS
+
+  const request = {
+    fields: fields,
+    locationRestriction: {
+      center: location,
+      radius: config.radius
+    },
+    includedTypes: category.includedTypes,
+    maxResultCount: config.maxResultCount,
+    rankPreference: google.maps.places.SearchNearbyRankPreference.DISTANCE
+  }
+
+  const { places } = await google.maps.places.Place.searchNearby(request)
+
+  // Normalize, ensure required fields, add category metadata, and enforce radius
+  const normalized = (places || [])
+    .map(place => normalizePlace(place, categoryKey, category))
+    .filter(Boolean)
+
+  return filterByRadius(normalized, location, config.radius)
+}
+
+/**
+ * Searches for places by text query (used for shelters and rescue orgs)
+ *
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category key (shelters, rescue)
+ * @param {Object} config - Search configuration
+ * @returns {Promise<Array>} Array of places
+ */
+async function searchGoogleByText(location, categoryKey, config) {
+  const category = config.categories[categoryKey]
+  const fields = Array.isArray(config.fields) && config.fields.length ? config.fields : DEFAULT_PLACE_FIELDS
+
+  const request = {
+    fields: fields,
+    textQuery: category.textQuery,
+    locationBias: {
+      center: location,
+      radius: config.radius
+    },
+    maxResultCount: config.maxResultCount
+  }
+
+  const { places } = await google.maps.places.Place.searchByText(request)
+
+  if (!places || places.length === 0) {
+    return []
+  }
+
+  // Fetch full details for each place to get location and other fields
+  const enrichedPlaces = await Promise.all(
+    places.map(async (place) => {
+      try {
+        await place.fetchFields({ fields })
+        return place
+      } catch (error) {
+        console.warn(`[places_providers] Failed to fetch fields for place:`, error)
+        return null
+      }
+    })
+  )
+
+  // Normalize and filter out incomplete results
+  const normalized = enrichedPlaces
+    .map(place => normalizePlace(place, categoryKey, category))
+    .filter(Boolean)
+
+  return filterByRadius(normalized, location, config.radius)
+}
+
+const googlePlacesProvider = {
+  name: 'google',
+  isAvailable: () => Boolean(window.google?.maps?.places?.Place),
+  searchCategory: searchGoogleCategory,
+  supportsTextQuery: true
+}
+
+// -----------------------------------------------------------------------------
+// Local fixture provider (JSON array or GeoJSON FeatureCollection)
+// -----------------------------------------------------------------------------
+
+// Fixture payloads keyed by URL so every category shares a single fetch
+const fixtureRequests = new Map()
+
+/**
+ * Loads (once) and parses a fixture file into raw place objects
+ *
+ * @param {string} url - Fixture URL
+ * @returns {Promise<Array>} Raw place objects
+ */
+function loadFixture(url) {
+  if (!fixtureRequests.has(url)) {
+    const request = fetch(url, { headers: { "Accept": "application/json" } })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return response.json()
+      })
+      .then(parseFixture)
+      .catch((error) => {
+        fixtureRequests.delete(url)
+        throw error
+      })
+    fixtureRequests.set(url, request)
+  }
+  return fixtureRequests.get(url)
+}
+
+/**
+ * Converts a fixture payload into raw place objects
+ * Accepts a plain array of places, `{ places: [...] }` or GeoJSON point features.
+ *
+ * @param {Object|Array} data - Parsed fixture JSON
+ * @returns {Array} Raw place objects with a plain { lat, lng } location
+ */
+function parseFixture(data) {
+  if (Array.isArray(data)) return data
+  if (Array.isArray(data?.places)) return data.places
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) return []
+
+  return data.features
+    .filter((feature) => feature?.geometry?.type === 'Point')
+    .map((feature) => {
+      const [lng, lat] = feature.geometry.coordinates
+      return {
+        ...feature.properties,
+        id: feature.id || feature.properties?.id,
+        location: { lat, lng }
+      }
+    })
+}
+
+/**
+ * Searches a category inside the local fixture
+ *
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category key
+ * @param {Object} config - Search configuration
+ * @returns {Promise<Array>} Normalized places
+ */
+async function searchFixtureCategory(location, categoryKey, config) {
+  const category = config.categories[categoryKey]
+  const rawPlaces = await loadFixture(MAPS_CONFIG.PLACES_PROVIDERS.fixtureUrl)
+
+  const normalized = rawPlaces
+    .filter((place) => place.category === categoryKey)
+    .map((place) => normalizePlace(place, categoryKey, category))
+    .filter(Boolean)
+
+  return nearestFirst(filterByRadius(normalized, location, config.radius), location, config.maxResultCount)
+}
+
+const fixturePlacesProvider = {
+  name: 'fixture',
+  isAvailable: () => Boolean(MAPS_CONFIG.PLACES_PROVIDERS.fixtureUrl),
+  searchCategory: searchFixtureCategory
+}
+
+// -----------------------------------------------------------------------------
+// Overpass (OpenStreetMap) provider
+// -----------------------------------------------------------------------------
+
+/**
+ * Builds an Overpass QL query for every selector of a category
+ *
+ * @param {Object} location - Search center
+ * @param {string[]} selectors - Tag selectors, e.g. '["amenity"="veterinary"]'
+ * @param {number} radius - Radius in meters
+ * @returns {string} Overpass QL query
+ */
+function buildOverpassQuery(location, selectors, radius) {
+  const around = `(around:${Math.round(radius)},${location.lat},${location.lng})`
+  const statements = selectors.map((selector) => `nwr${selector}${around};`).join('')
+  return `[out:json][timeout:15];(${statements});out center tags;`
+}
+
+/**
+ * Maps an OSM element to a raw place object understood by normalizePlace
+ *
+ * @param {Object} element - Overpass element (node/way/relation)
+ * @returns {Object} Raw place object
+ */
+function osmElementToPlace(element) {
+  const tags = element.tags || {}
+  const lat = element.lat ?? element.center?.lat
+  const lng = element.lon ?? element.center?.lon
+  const street = [tags["addr:street"], tags["addr:housenumber"]].filter(Boolean).join(' ')
+  const city = [tags["addr:postcode"], tags["addr:city"]].filter(Boolean).join(' ')
+  const formattedAddress = [street, city].filter(Boolean).join(', ') || null
+
+  return {
+    id: `osm:${element.type}/${element.id}`,
+    displayName: tags.name,
+    location: typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null,
+    formattedAddress,
+    phoneNumber: tags.phone || tags["contact:phone"] || null,
+    types: [tags.amenity].filter(Boolean),
+    osmOpeningHours: tags.opening_hours || null
+  }
+}
+
+/**
+ * Searches a category through an Overpass-compatible endpoint
+ *
+ * @param {Object} location - Search center
+ * @param {string} categoryKey - Category key
+ * @param {Object} config - Search configuration
+ * @returns {Promise<Array>} Normalized places
+ */
+async function searchOverpassCategory(location, categoryKey, config) {
+  const category = config.categories[categoryKey]
+  if (!category.osmSelectors?.length) return []
+
+  const response = await fetch(MAPS_CONFIG.PLACES_PROVIDERS.overpassUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: `data=${encodeURIComponent(buildOverpassQuery(location, category.osmSelectors, config.radius))}`
+  })
+  if (!response.ok) throw new Error(`Overpass HTTP ${response.status}`)
+
+  const { elements } = await response.json()
+  const normalized = (elements || [])
+    .map(osmElementToPlace)
+    .map((place) => normalizePlace(place, categoryKey, category))
+    .filter(Boolean)
+
+  return nearestFirst(filterByRadius(normalized, location, config.radius), location, config.maxResultCount)
+}
+
+const overpassPlacesProvider = {
+  name: 'overpass',
+  isAvailable: () => Boolean(MAPS_CONFIG.PLACES_PROVIDERS.overpassUrl),
+  searchCategory: searchOverpassCategory
+}
+
+// -----------------------------------------------------------------------------
+// Registry
+// -----------------------------------------------------------------------------
+
+const PROVIDERS = {
+  google: googlePlacesProvider,
+  fixture: fixturePlacesProvider,
+  overpass: overpassPlacesProvider
+}
+
+/**
+ * Returns the places provider for the given name
+ * Falls back to the configured fallback provider when the requested one is
+ * unknown or unavailable (e.g. Google selected but no SDK on the page). The
+ * fixture's made-up places never stand in for real data.
+ *
+ * @param {string} [name] - Provider name (google | fixture | overpass)
+ * @returns {Object} Places provider
+ * @throws {PlacesUnavailableError} When neither provider is available
+ */
+export function getPlacesProvider(name = MAPS_CONFIG.PLACES_PROVIDERS.default) {
+  const provider = PROVIDERS[name]
+  if (provider && provider.isAvailable()) return provider
+
+  const fallback = PROVIDERS[MAPS_CONFIG.PLACES_PROVIDERS.fallback]
+  if (fallback && fallback !== fixturePlacesProvider && fallback.isAvailable()) {
+    console.warn(`[places_providers] Provider "${name}" unavailable, using "${fallback.name}"`)
+    return fallback
+  }
+  throw new PlacesUnavailableError(`Places provider "${name}" unavailable and no real fallback configured`)
+}
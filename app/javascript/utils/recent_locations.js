@@ -0,0 +1,47 @@
+// app/javascript/utils/recent_locations.js
+
+/**
+ * Recent Locations
+ *
+ * Keeps the last few manually chosen search locations in localStorage so
+ * rescuers can jump back to them without typing the address again.
+ */
+
+const STORAGE_KEY = "ff-resq:recent-locations"
+const MAX_ENTRIES = 5
+
+/**
+ * Reads recent locations, most recent first
+ *
+ * @returns {Array<{label:string, location:{lat:number, lng:number}}>}
+ */
+export function loadRecentLocations() {
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]")
+    return Array.isArray(entries) ? entries.filter(entry => entry?.label && entry?.location) : []
+  } catch (error) {
+    return []
+  }
+}
+
+/**
+ * Adds a location to the front of the recent list (deduplicated by label)
+ *
+ * @param {{label:string, location:{lat:number, lng:number}}} entry
+ * @returns {Array} Updated list
+ */
+export function saveRecentLocation(entry) {
+  if (!entry?.label || !entry?.location) return loadRecentLocations()
+
+  const entries = [
+    { label: entry.label, location: { lat: entry.location.lat, lng: entry.location.lng } },
+    ...loadRecentLocations().filter(existing => existing.label !== entry.label)
+  ].slice(0, MAX_ENTRIES)
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+  } catch (error) {
+    console.warn("[recent_locations] Could not persist recent locations:", error)
+  }
+  return entries
+}
@@ -0,0 +1,68 @@
+// app/javascript/utils/saved_places.js
+
+import { serializePlace } from "utils/places_cache"
+
+/**
+ * Saved Places
+ *
+ * Keeps places starred by the user in localStorage, serialized like cached
+ * search results (see utils/places_cache.js) so they can be rendered without
+ * a network round trip.
+ */
+
+const STORAGE_KEY = "ff-resq:saved-places"
+
+/**
+ * Reads saved places, most recently saved first
+ *
+ * @returns {Array<Object>} Plain places
+ */
+export function loadSavedPlaces() {
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]")
+    return Array.isArray(entries) ? entries.filter(entry => entry?.id && entry?.location) : []
+  } catch (error) {
+    return []
+  }
+}
+
+/**
+ * Writes the saved places list
+ *
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>} The list that was written
+ */
+function persist(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+  } catch (error) {
+    console.warn("[saved_places] Could not persist saved places:", error)
+  }
+  return entries
+}
+
+/**
+ * Saves a place (replacing an earlier copy of the same place)
+ *
+ * @param {Object} place - Normalized place
+ * @returns {Array<Object>} Updated list
+ */
+export function savePlace(place) {
+  const plain = serializePlace(place)
+  if (!plain?.id) return loadSavedPlaces()
+
+  return persist([
+    { ...plain, savedAt: Date.now() },
+    ...loadSavedPlaces().filter(entry => String(entry.id) !== String(plain.id))
+  ])
+}
+
+/**
+ * Removes a saved place
+ *
+ * @param {string} placeId
+ * @returns {Array<Object>} Updated list
+ */
+export function removeSavedPlace(placeId) {
+  return persist(loadSavedPlaces().filter(entry => String(entry.id) !== String(placeId)))
+}
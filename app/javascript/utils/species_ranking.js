@@ -0,0 +1,104 @@
+// app/javascript/utils/species_ranking.js
+
+import { SPECIES_CONFIG } from "config/species_config"
+import { t } from "utils/i18n"
+
+/**
+ * Species Ranking
+ *
+ * Resolves the intake species to a profile from config/species_config.js and
+ * ranks places by "effective distance": straight-line distance divided by
+ * how well the place fits the species. A wildlife rescue with weight 2 at
+ * 4 km therefore ranks like a plain vet at 2 km.
+ */
+
+/**
+ * Whether any prefix starts a word in the text (so "igel" matches "Igelstation")
+ * With maxSuffix, the word may only run that many letters past the prefix,
+ * which allows plurals ("Tauben") but not unrelated words ("caterpillar").
+ *
+ * @param {string} text
+ * @param {string[]} prefixes
+ * @param {number} [maxSuffix] - Letters allowed after the prefix (unlimited when omitted)
+ * @returns {boolean}
+ */
+function matchesWordPrefix(text, prefixes = [], maxSuffix = null) {
+  const haystack = String(text || '').toLowerCase()
+  const ending = maxSuffix === null ? '' : `\\p{L}{0,${maxSuffix}}(?![\\p{L}])`
+  return prefixes.some((prefix) => {
+    const escaped = prefix.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return new RegExp(`(^|[^\\p{L}])${escaped}${ending}`, 'u').test(haystack)
+  })
+}
+
+/**
+ * Finds the profile for a free-text species ("Igel", "young pigeon", …)
+ *
+ * @param {string} species - Intake species
+ * @returns {Object|null} Profile (with its `key`) or null when unknown
+ */
+export function resolveSpeciesProfile(species) {
+  if (!species || !String(species).trim()) return null
+
+  const match = Object.entries(SPECIES_CONFIG.profiles)
+    .find(([, profile]) => matchesWordPrefix(species, profile.aliases, 2))
+  return match ? { key: match[0], ...match[1] } : null
+}
+
+/**
+ * Whether a place looks like a specialist for the profile
+ * True for places found by one of the profile's extra queries or whose
+ * name/types contain a profile keyword. Places found by other extra queries
+ * (e.g. emergency mode's) do not count.
+ *
+ * @param {Object} place - Normalized place
+ * @param {Object} profile - Species profile
+ * @returns {boolean}
+ */
+function isSpecialist(place, profile) {
+  if (place.matchedQuery && (profile.extraQueries || []).some(query => query.textQuery === place.matchedQuery)) return true
+  const text = [place.displayName, ...(place.types || [])].join(' ').replace(/_/g, ' ')
+  return matchesWordPrefix(text, profile.keywords)
+}
+
+/**
+ * How well a place fits the profile (1 = neutral)
+ *
+ * @param {Object} place - Normalized place
+ * @param {Object|null} profile - Species profile
+ * @returns {number}
+ */
+export function speciesFitWeight(place, profile) {
+  if (!profile || !place) return 1
+
+  const categoryWeight = profile.categoryWeights?.[place.category] ?? 1
+  return isSpecialist(place, profile) ? categoryWeight * SPECIES_CONFIG.keywordBoost : categoryWeight
+}
+
+/**
+ * Card reason for well-fitting places, e.g. "Good fit for hedgehogs"
+ * Only specialists get it: a generic vet or rescue is not a "good fit" just
+ * because its category is weighted up for the species.
+ *
+ * @param {Object} place - Normalized place
+ * @param {Object|null} profile - Species profile
+ * @returns {string|null}
+ */
+export function speciesFitReason(place, profile) {
+  if (!profile || !place || !isSpecialist(place, profile)) return null
+  if (speciesFitWeight(place, profile) < SPECIES_CONFIG.reasonMinWeight) return null
+  return t("cards.goodFitFor", { species: t(`species.${profile.key}`) })
+}
+
+/**
+ * Builds a comparator ranking by distance divided by fit weight
+ * Places without distance go last.
+ *
+ * @param {Object} profile - Species profile
+ * @returns {Function} Sort comparator
+ */
+export function bySpeciesFit(profile) {
+  const effectiveDistance = (place) =>
+    (place.distanceMeters || Infinity) / speciesFitWeight(place, profile)
+  return (a, b) => effectiveDistance(a) - effectiveDistance(b)
+}
@@ -0,0 +1,224 @@
+// app/javascript/utils/travel_times.js
+
+import { MAPS_CONFIG } from "config/google_maps_config"
+import { distanceInMeters } from "utils/distance_utils"
+import { t } from "utils/i18n"
+
+/**
+ * Travel Times
+ *
+ * Estimates how long it takes to reach places by car, on foot or by public
+ * transport. Like the places providers, every adapter exposes the same
+ * interface:
+ *
+ *   {
+ *     name: string,
+ *     isAvailable(): boolean,
+ *     estimate(origin, destinations, mode): Promise<Array<{durationSeconds, distanceMeters}|null>>
+ *   }
+ *
+ * `destinations` is a batch of at most MAPS_CONFIG.TRAVEL_TIME.batchSize
+ * locations; the result array is index-aligned with it (null = no route).
+ * Results marked `estimated` are rough guesses, not routed times.
+ */
+
+// -----------------------------------------------------------------------------
+// Google Distance Matrix adapter
+// DistanceMatrixService is legacy in the Maps JS API; the Routes API
+// (RouteMatrix.computeRouteMatrix) replaces it and is the migration target.
+// -----------------------------------------------------------------------------
+
+const GOOGLE_TRAVEL_MODES = {
+  driving: "DRIVING",
+  walking: "WALKING",
+  transit: "TRANSIT"
+}
+
+const googleAdapter = {
+  name: 'google',
+  isAvailable: () => Boolean(window.google?.maps?.DistanceMatrixService),
+
+  async estimate(origin, destinations, mode) {
+    const { rows } = await new google.maps.DistanceMatrixService().getDistanceMatrix({
+      origins: [origin],
+      destinations,
+      travelMode: google.maps.TravelMode[GOOGLE_TRAVEL_MODES[mode]]
+    })
+
+    const elements = rows?.[0]?.elements || []
+    return destinations.map((_, index) => {
+      const element = elements[index]
+      if (element?.status !== "OK") return null
+      return {
+        durationSeconds: element.duration.value,
+        distanceMeters: element.distance.value
+      }
+    })
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Stub adapter (straight-line distance × detour factor at a fixed speed)
+// Development only: never used unless selected explicitly.
+// -----------------------------------------------------------------------------
+
+const stubAdapter = {
+  name: 'stub',
+  isAvailable: () => true,
+
+  async estimate(origin, destinations, mode) {
+    const { detourFactor, modes } = MAPS_CONFIG.TRAVEL_TIME
+    const { stubSpeedKmh, stubExtraMinutes = 0 } = modes[mode]
+
+    return destinations.map((destination) => {
+      const meters = distanceInMeters(origin, destination) * detourFactor
+      return {
+        durationSeconds: Math.round((meters / 1000 / stubSpeedKmh) * 3600 + stubExtraMinutes * 60),
+        distanceMeters: Math.round(meters),
+        estimated: true
+      }
+    })
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Registry
+// -----------------------------------------------------------------------------
+
+const ADAPTERS = {
+  google: googleAdapter,
+  stub: stubAdapter
+}
+
+/**
+ * Returns the travel-time adapter for the given name
+ * There is no fallback: made-up times must not pass for real ones, so
+ * without the adapter the page shows no ETAs.
+ *
+ * @param {string} [name] - Adapter name (google | stub)
+ * @returns {Object|null} Travel-time adapter, or null when unknown or unavailable
+ */
+export function getTravelTimeAdapter(name = MAPS_CONFIG.TRAVEL_TIME.default) {
+  const adapter = ADAPTERS[name]
+  return adapter && adapter.isAvailable() ? adapter : null
+}
+
+/**
+ * Reads lat/lng from a plain object or google.maps.LatLng
+ *
+ * @param {Object} location
+ * @returns {{lat:number, lng:number}}
+ */
+function toLatLngLiteral(location) {
+  const lat = typeof location.lat === 'function' ? location.lat() : location.lat
+  const lng = typeof location.lng === 'function' ? location.lng() : location.lng
+  return { lat, lng }
+}
+
+/**
+ * Creates a travel-time service with a per-origin cache
+ * Origins are rounded to MAPS_CONFIG.TRAVEL_TIME.originCellDegrees, so small
+ * moves reuse earlier results; only places without a cached result are
+ * requested, in batches. The adapter is looked up on every call, so it
+ * becomes usable once the Maps SDK loads (e.g. after a map retry).
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.adapter] - Adapter name (google | stub)
+ * @returns {Object} Service API: isAvailable, originKey, getTravelTimes, clear
+ */
+export function createTravelTimeService({ adapter: adapterName } = {}) {
+  // "<origin cell>|<mode>" -> Map(placeId -> result|null)
+  const cache = new Map()
+
+  /**
+   * Cache key for an origin + mode
+   * @param {Object} origin - { lat, lng }
+   * @param {string} mode - driving | walking | transit
+   * @returns {string}
+   */
+  function originKey(origin, mode) {
+    const { originCellDegrees } = MAPS_CONFIG.TRAVEL_TIME
+    const point = toLatLngLiteral(origin)
+    return `${Math.round(point.lat / originCellDegrees)}:${Math.round(point.lng / originCellDegrees)}|${mode}`
+  }
+
+  return {
+    originKey,
+
+    /**
+     * Whether travel times can be looked up right now
+     * @returns {boolean}
+     */
+    isAvailable() {
+      return Boolean(getTravelTimeAdapter(adapterName))
+    },
+
+    /**
+     * Resolves travel times from origin to every place
+     * Failed batches are logged and left out (those places keep showing
+     * straight-line distance only); without an adapter nothing is returned.
+     *
+     * @param {Object} origin - { lat, lng }
+     * @param {Array} places - Places with `id` and `location`
+     * @param {string} mode - driving | walking | transit
+     * @returns {Promise<Map<string, {durationSeconds:number, distanceMeters:number}>>} placeId -> result
+     */
+    async getTravelTimes(origin, places, mode) {
+      const adapter = getTravelTimeAdapter(adapterName)
+      if (!adapter) return new Map()
+
+      const key = originKey(origin, mode)
+      if (!cache.has(key)) cache.set(key, new Map())
+      const results = cache.get(key)
+
+      const missing = places.filter(place => place?.location && !results.has(String(place.id)))
+      const { batchSize } = MAPS_CONFIG.TRAVEL_TIME
+      const batches = []
+      for (let i = 0; i < missing.length; i += batchSize) {
+        batches.push(missing.slice(i, i + batchSize))
+      }
+
+      await Promise.all(batches.map(async (batch) => {
+        try {
+          const estimates = await adapter.estimate(
+            toLatLngLiteral(origin),
+            batch.map(place => toLatLngLiteral(place.location)),
+            mode
+          )
+          batch.forEach((place, index) => results.set(String(place.id), estimates[index] || null))
+        } catch (error) {
+          console.warn(`[travel_times] ${adapter.name} ${mode} batch failed:`, error)
+        }
+      }))
+
+      const byPlaceId = new Map()
+      places.forEach((place) => {
+        const result = results.get(String(place?.id))
+        if (result) byPlaceId.set(String(place.id), result)
+      })
+      return byPlaceId
+    },
+
+    /**
+     * Drops all cached results
+     */
+    clear() {
+      cache.clear()
+    }
+  }
+}
+
+/**
+ * Formats a duration as "12 min" or "1 h 5 min" (in the UI locale)
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+  const minutes = Math.max(1, Math.round(seconds / 60))
+  if (minutes < 60) return t("travel.minutes", { minutes })
+
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  return rest ? t("travel.hoursMinutes", { hours, minutes: rest }) : t("travel.hours", { hours })
+}
@@ -0,0 +1,133 @@
+// app/javascript/utils/url_state.js
+
+/**
+ * Vets Page URL State
+ *
+ * Mirrors the vets page state in query params so it survives reloads and
+ * can be shared:
+ *
+ *   ?place=<id>&expanded=1&cat=vets,rescue&saved=1&emergency=1&at=51.19650,6.44600&area=…&sort=fastest&view=list
+ *
+ * - place/expanded: selected place and whether its card is expanded
+ * - cat:            active categories (absent = all)
+ * - saved:          only saved places
+ * - emergency:      24/7 emergency mode
+ * - at:             manually chosen location (absent = geolocation)
+ * - area:           center of the last "Search this area"
+ * - sort:           sort mode (absent = default)
+ * - view:           "list" for the map-free list (absent = map)
+ *
+ * Other query params (e.g. intake_id) are left untouched. History entries
+ * keep Turbo's own state so navigation to and from other pages still works.
+ */
+
+const PARAMS = {
+  placeId: "place",
+  expanded: "expanded",
+  categories: "cat",
+  savedOnly: "saved",
+  emergency: "emergency",
+  location: "at",
+  area: "area",
+  sort: "sort",
+  view: "view"
+}
+
+/**
+ * Parses a "lat,lng" param
+ *
+ * @param {string|null} value
+ * @returns {{lat:number, lng:number}|null}
+ */
+function parseLatLng(value) {
+  if (!value) return null
+  const [lat, lng] = value.split(',').map(Number)
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return { lat, lng }
+}
+
+/**
+ * Formats a location as a "lat,lng" param (~1m precision)
+ *
+ * @param {{lat:number, lng:number}|null} location
+ * @returns {string|null}
+ */
+function formatLatLng(location) {
+  if (!location) return null
+  return `${location.lat.toFixed(5)},${location.lng.toFixed(5)}`
+}
+
+/**
+ * Reads the vets page state from a URL
+ *
+ * @param {string} [url=window.location.href]
+ * @returns {{placeId:string|null, expanded:boolean, categories:string[], savedOnly:boolean, emergency:boolean, location:Object|null, area:Object|null, sort:string|null, view:string|null}}
+ */
+export function readVetsUrlState(url = window.location.href) {
+  const params = new URL(url).searchParams
+  return {
+    placeId: params.get(PARAMS.placeId),
+    expanded: params.get(PARAMS.expanded) === "1",
+    categories: (params.get(PARAMS.categories) || "").split(',').filter(Boolean),
+    savedOnly: params.get(PARAMS.savedOnly) === "1",
+    emergency: params.get(PARAMS.emergency) === "1",
+    location: parseLatLng(params.get(PARAMS.location)),
+    area: parseLatLng(params.get(PARAMS.area)),
+    sort: params.get(PARAMS.sort),
+    view: params.get(PARAMS.view)
+  }
+}
+
+/**
+ * Builds the URL for a vets page state, keeping unrelated params
+ *
+ * @param {Object} state - Same shape as readVetsUrlState returns
+ * @param {string} [url=window.location.href] - Base URL
+ * @returns {string}
+ */
+export function buildVetsUrl(state, url = window.location.href) {
+  const next = new URL(url)
+  const values = {
+    placeId: state.placeId || null,
+    expanded: state.placeId && state.expanded ? "1" : null,
+    categories: state.categories?.length ? state.categories.join(',') : null,
+    savedOnly: state.savedOnly ? "1" : null,
+    emergency: state.emergency ? "1" : null,
+    location: formatLatLng(state.location),
+    area: formatLatLng(state.area),
+    sort: state.sort || null,
+    view: state.view || null
+  }
+
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (values[key]) {
+      next.searchParams.set(param, values[key])
+    } else {
+      next.searchParams.delete(param)
+    }
+  })
+  return next.toString()
+}
+
+/**
+ * Writes the vets page state to the URL
+ * Pushing creates a back-button step; replacing updates the current entry.
+ * Nothing is pushed when the URL would not change.
+ *
+ * @param {Object} state - Same shape as readVetsUrlState returns
+ * @param {Object} [options={}]
+ * @param {boolean} [options.push=false] - Add a history entry instead of replacing
+ * @returns {void}
+ */
+export function writeVetsUrlState(state, { push = false } = {}) {
+  const url = buildVetsUrl(state)
+  // Keep Turbo's restoration data so Turbo still recognizes this page's entries
+  const historyState = { ...(window.history.state || {}), nearbyVets: state }
+
+  if (push && url !== window.location.href) {
+    window.history.pushState(historyState, "", url)
+  } else {
+    window.history.replaceState(historyState, "", url)
+  }
+}
@@ -1,6 +1,7 @@
 // app/javascript/utils/vet_card_utils.js
 
 import { SVG_ICONS, VET_DISPLAY_CONFIG } from "config/vets_config"
+import { t, formatNumber } from "utils/i18n"
 
 /**
  * Veterinary Card Utility Functions
@@ -9,6 +10,23 @@ import { SVG_ICONS, VET_DISPLAY_CONFIG } from "config/vets_config"
  * These utilities handle UI generation for vet information display.
  */
 
+/**
+ * Escapes text for use in HTML markup and attribute values
+ * Place fields come from third parties (e.g. anyone can edit OpenStreetMap
+ * tags), so every one of them goes through this before innerHTML.
+ *
+ * @param {*} value - Text to escape (null/undefined become "")
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
 /**
  * Gets the opening status text for today
  * Extracts today's opening hours from place data
@@ -59,15 +77,15 @@ export function getAllOpeningHours(place) {
       const timesSafe = times || '';
 
       // If we have times: keep the commas and add <br> after each one
-      // If it's empty: show "Closed"
+      // If it's empty: show "Closed" (translated)
       const timeHtml = timesSafe.trim() !== ''
-        ? `<span class="hours-slot">${timesSafe.replace(/,\s*/g, ',<br>')}</span>`
-        : '<span class="hours-slot">Closed</span>';
+        ? `<span class="hours-slot">${escapeHtml(timesSafe).replace(/,\s*/g, ',<br>')}</span>`
+        : `<span class="hours-slot">${t("openingHours.closed")}</span>`;
 
       // Build the HTML for this weekday
       return `
         <div class="hours-row ${isToday ? 'hours-today' : ''}">
-          <span class="hours-day">${dayName}</span>
+          <span class="hours-day">${escapeHtml(dayName)}</span>
           <span class="hours-time">${timeHtml}</span>
         </div>
       `;
@@ -108,8 +126,8 @@ export function generateDirectionsUrl(place) {
  */
 export function formatRating(place) {
   return place.rating
-    ? `${VET_DISPLAY_CONFIG.ratingIcon} ${place.rating}/5`
-    : VET_DISPLAY_CONFIG.noRatingText
+    ? `${VET_DISPLAY_CONFIG.ratingIcon} ${formatNumber(place.rating)}/5`
+    : t("cards.noRating")
 }
 
 /**
@@ -120,7 +138,7 @@ export function formatRating(place) {
  * @returns {string} Address or default text if unavailable
  */
 export function getFormattedAddress(place) {
-  return place.formattedAddress || VET_DISPLAY_CONFIG.noAddressText
+  return place.formattedAddress || t("cards.noAddress")
 }
 
 /**
@@ -141,7 +159,7 @@ export function createAppointmentSection(hasIntake, stopPropagation = false) {
             data-appointment-target="button"
             class="appointment-btn"${onclickAttr}>
         <i class="fa-solid fa-robot"></i>
-      <span style="padding-left:5px">AI-Appointment</span>
+      <span style="padding-left:5px">${t("cards.aiAppointment")}</span>
     </button>
     <div class="appointment-status" data-appointment-target="status"></div>
     <div class="appointment-response hidden" data-appointment-target="notes"></div>
@@ -158,6 +176,25 @@ export function createDirectionsButton(directionsUrl) {
   <div class="card-actions">
         <a href="${directionsUrl}" target="_blank" class="directions-btn" onclick="event.stopPropagation()">
          <i class="fa-solid fa-road"></i>
-        <span style="padding-left:5px">Navigate</span></a>
+        <span style="padding-left:5px">${t("cards.navigate")}</span></a>
+  `
+}
+
+/**
+ * Creates the Share and Save contact buttons (wired up by the card)
+ * @returns {string} HTML string for the share actions
+ */
+export function createShareButtons() {
+  return `
+    <div class="share-actions">
+      <button type="button" class="share-btn" data-share="place">
+        <i class="fa-solid fa-share-nodes"></i>
+        <span class="share-btn-label">${t("cards.share")}</span>
+      </button>
+      <button type="button" class="share-btn" data-share="vcard">
+        <i class="fa-solid fa-address-card"></i>
+        <span class="share-btn-label">${t("cards.saveContact")}</span>
+      </button>
+    </div>
   `
 }
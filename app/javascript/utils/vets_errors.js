@@ -0,0 +1,153 @@
+// app/javascript/utils/vets_errors.js
+
+/**
+ * Vets Page Errors
+ *
+ * Typed errors for the failures the vets page explains to the user. Each
+ * type has its own panel (texts under errors.<type> in the locale catalogs,
+ * icon and actions in ERROR_PANELS). `classifyError` turns whatever a
+ * Maps, geolocation or fetch call threw into one of these types.
+ */
+
+export class VetsPageError extends Error {
+  /**
+   * @param {string} type - Key of ERROR_PANELS
+   * @param {string} message - Developer-facing message (panels use the catalogs)
+   * @param {Object} [options={}]
+   * @param {*} [options.cause] - Original error
+   */
+  constructor(type, message, { cause } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.type = type
+  }
+}
+
+// The Maps JS SDK did not load (blocked, network, timeout)
+export class MapsUnavailableError extends VetsPageError {
+  constructor(message = "Google Maps SDK unavailable", options) {
+    super('mapsUnavailable', message, options)
+  }
+}
+
+// The API key was rejected (invalid, restricted or the API is not enabled)
+export class InvalidApiKeyError extends VetsPageError {
+  constructor(message = "Google Maps API key rejected", options) {
+    super('invalidKey', message, options)
+  }
+}
+
+// The user (or browser policy) denied geolocation
+export class LocationPermissionError extends VetsPageError {
+  constructor(message = "Geolocation permission denied", options) {
+    super('permissionDenied', message, options)
+  }
+}
+
+// No network connection
+export class OfflineError extends VetsPageError {
+  constructor(message = "Network offline", options) {
+    super('offline', message, options)
+  }
+}
+
+// Usage limits of the API were hit
+export class QuotaExceededError extends VetsPageError {
+  constructor(message = "API quota exceeded", options) {
+    super('quota', message, options)
+  }
+}
+
+// No real places provider is available (the demo fixture never stands in)
+export class PlacesUnavailableError extends VetsPageError {
+  constructor(message = "No places provider available", options) {
+    super('placesUnavailable', message, options)
+  }
+}
+
+// Address search is unavailable (the fixture geocoder never stands in);
+// coordinates and the current location still work
+export class GeocoderUnavailableError extends VetsPageError {
+  constructor(message = "No geocoder available", options) {
+    super('geocoderUnavailable', message, options)
+  }
+}
+
+// Every category was searched successfully but nothing was found
+export class NoResultsError extends VetsPageError {
+  constructor(message = "No places found", options) {
+    super('zeroResults', message, options)
+  }
+}
+
+/**
+ * Panel presentation per error type
+ * - icon:        Font Awesome icon
+ * - retry:       what the retry button does: maps | reload | locate | search
+ *                (see NearbyVetsController#retryAfterError)
+ * - offerManual: also offer "Enter an address"
+ * - autoRetry:   retried automatically when the browser comes back online
+ * - listFallback: the map is unusable; the page switches to the list and
+ *                 shows a retry pill instead of the panel
+ */
+export const ERROR_PANELS = {
+  mapsUnavailable: { icon: "fa-map", retry: "maps", offerManual: false, autoRetry: true, listFallback: true },
+  invalidKey: { icon: "fa-key", retry: "reload", offerManual: false, autoRetry: false, listFallback: true },
+  permissionDenied: { icon: "fa-location-crosshairs", retry: "locate", offerManual: true, autoRetry: false },
+  offline: { icon: "fa-wifi", retry: "search", offerManual: false, autoRetry: true },
+  placesUnavailable: { icon: "fa-store-slash", retry: "search", offerManual: false, autoRetry: true },
+  geocoderUnavailable: { icon: "fa-map-location-dot", retry: "locate", offerManual: false, autoRetry: false },
+  quota: { icon: "fa-hourglass-half", retry: "search", offerManual: false, autoRetry: false },
+  zeroResults: { icon: "fa-magnifying-glass-location", retry: "search", offerManual: true, autoRetry: false },
+  unknown: { icon: "fa-triangle-exclamation", retry: "search", offerManual: true, autoRetry: true }
+}
+
+const INVALID_KEY_PATTERN = /REQUEST_DENIED|InvalidKey|ApiNotActivated|RefererNotAllowed|ApiTargetBlocked|API[_ ]?key/i
+const QUOTA_PATTERN = /OVER_QUERY_LIMIT|RESOURCE_EXHAUSTED|quota|HTTP 429/i
+const NETWORK_PATTERN = /Failed to fetch|NetworkError|network request failed|Load failed|ERR_INTERNET_DISCONNECTED/i
+
+/**
+ * Text to match error patterns against (message, name and code)
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+function describe(error) {
+  return [error?.name, error?.code, error?.message].filter(Boolean).join(' ')
+}
+
+/**
+ * Whether an error is a GeolocationPositionError with PERMISSION_DENIED
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isGeolocationDenied(error) {
+  return typeof error?.code === 'number' && 'PERMISSION_DENIED' in error && error.code === error.PERMISSION_DENIED
+}
+
+/**
+ * Classifies an error into a typed VetsPageError
+ * Errors carrying `causes` (e.g. "all searches failed") are classified by
+ * their first recognizable cause.
+ *
+ * @param {*} error - Anything that was thrown
+ * @returns {VetsPageError} Typed error (type "unknown" when not recognized)
+ */
+export function classifyError(error) {
+  if (error instanceof VetsPageError) return error
+  if (isGeolocationDenied(error)) return new LocationPermissionError(undefined, { cause: error })
+  if (!navigator.onLine) return new OfflineError(undefined, { cause: error })
+
+  if (Array.isArray(error?.causes)) {
+    const typed = error.causes.map(classifyError).find(cause => cause.type !== 'unknown')
+    if (typed) return typed
+  }
+
+  const text = describe(error)
+  if (INVALID_KEY_PATTERN.test(text)) return new InvalidApiKeyError(undefined, { cause: error })
+  if (QUOTA_PATTERN.test(text)) return new QuotaExceededError(undefined, { cause: error })
+  if (NETWORK_PATTERN.test(text)) return new OfflineError(undefined, { cause: error })
+
+  return new VetsPageError('unknown', error?.message || String(error), { cause: error })
+}
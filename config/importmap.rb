@@ -4,17 +4,38 @@ pin "application"
 pin "@hotwired/turbo-rails", to: "turbo.min.js"
 pin "@hotwired/stimulus", to: "stimulus.min.js"
 pin "@hotwired/stimulus-loading", to: "stimulus-loading.js"
+pin "utils/i18n", to: "utils/i18n.js"
+pin "utils/vets_errors", to: "utils/vets_errors.js"
+pin "utils/google_maps_loader", to: "utils/google_maps_loader.js"
 pin "utils/message_animations", to: "utils/message_animations.js"
 pin "utils/slide_animations", to: "utils/slide_animations.js"
 pin "utils/distance_utils", to: "utils/distance_utils.js"
 pin "utils/google_maps_utils", to: "utils/google_maps_utils.js"
+pin "utils/places_providers", to: "utils/places_providers.js"
+pin "utils/places_cache", to: "utils/places_cache.js"
+pin "utils/place_details", to: "utils/place_details.js"
+pin "utils/place_sharing", to: "utils/place_sharing.js"
+pin "utils/marker_clustering", to: "utils/marker_clustering.js"
+pin "utils/map_theme", to: "utils/map_theme.js"
+pin "utils/opening_hours", to: "utils/opening_hours.js"
+pin "utils/geocoding", to: "utils/geocoding.js"
+pin "utils/recent_locations", to: "utils/recent_locations.js"
+pin "utils/saved_places", to: "utils/saved_places.js"
+pin "utils/travel_times", to: "utils/travel_times.js"
+pin "utils/species_ranking", to: "utils/species_ranking.js"
+pin "utils/url_state", to: "utils/url_state.js"
 pin "utils/location_card_horizontal", to: "utils/location_card_horizontal.js"
 pin "utils/vet_card_utils", to: "utils/vet_card_utils.js"
 pin "utils/appointment_dev_helpers", to: "utils/appointment_dev_helpers.js"
 pin "config/animation_constants", to: "config/animation_constants.js"
 pin "config/google_maps_config", to: "config/google_maps_config.js"
 pin "config/vets_config", to: "config/vets_config.js"
+pin "config/species_config", to: "config/species_config.js"
+pin "config/map_themes", to: "config/map_themes.js"
+pin "config/locales/en", to: "config/locales/en.js"
+pin "config/locales/de", to: "config/locales/de.js"
 pin_all_from "app/javascript/controllers", under: "controllers"
 pin "bootstrap", to: "bootstrap.min.js", preload: true
 pin "@popperjs/core", to: "popper.js", preload: true
 pin "gsap", to: "https://cdn.jsdelivr.net/npm/gsap@3.13.0/+esm"
+pin "@googlemaps/markerclusterer", to: "https://cdn.jsdelivr.net/npm/@googlemaps/markerclusterer@2.6.2/+esm"
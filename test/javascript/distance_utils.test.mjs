@@ -0,0 +1,24 @@
+// test/javascript/distance_utils.test.mjs
+
+import { test, afterEach } from "node:test"
+import assert from "node:assert/strict"
+
+import { formatDistanceLabel, resolveUnitSystem } from "utils/distance_utils"
+
+afterEach(() => {
+  document.documentElement.lang = "en"
+})
+
+test("auto units follow the region of the page locale", () => {
+  document.documentElement.lang = "en-GB"
+  assert.equal(resolveUnitSystem('auto'), 'imperial')
+
+  document.documentElement.lang = "de-DE"
+  assert.equal(resolveUnitSystem('auto'), 'metric')
+})
+
+test("a malformed page locale does not break distance labels", () => {
+  document.documentElement.lang = "en-"
+  assert.doesNotThrow(() => resolveUnitSystem('auto'))
+  assert.match(formatDistanceLabel(1200, { units: 'metric' }), /1\.2\s?km/)
+})
@@ -0,0 +1,51 @@
+// test/javascript/opening_hours.test.mjs
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { getOpenState, isAlwaysOpen } from "utils/opening_hours"
+
+// Periods for the given days, each open from `open` to `close` ("HH:MM")
+function dailyPeriods(days, open, close) {
+  const point = (day, time) => {
+    const [hour, minute] = time.split(':').map(Number)
+    return { day, hour, minute }
+  }
+  return days.map(day => ({ open: point(day, open), close: point(day, close) }))
+}
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6]
+// Wednesday 2026-10-21, in the place's time zone (UTC)
+const at = (time) => new Date(`2026-10-21T${time}:00Z`)
+
+test("a single period without close is open around the clock", () => {
+  const place = { regularOpeningHours: { periods: [{ open: { day: 0, hour: 0, minute: 0 } }] }, utcOffsetMinutes: 0 }
+  assert.equal(isAlwaysOpen(place), true)
+})
+
+test("daily 00:00–23:59 periods are open around the clock, also at 23:59", () => {
+  const place = { regularOpeningHours: { periods: dailyPeriods(EVERY_DAY, "00:00", "23:59") }, utcOffsetMinutes: 0 }
+  assert.equal(isAlwaysOpen(place), true)
+
+  const state = getOpenState(place, at("23:59"))
+  assert.equal(state.isOpen, true)
+  assert.equal(state.isAlwaysOpen, true)
+})
+
+test("weekdays 00:00–23:59 stay open through the night and close on Friday", () => {
+  const place = { regularOpeningHours: { periods: dailyPeriods([1, 2, 3, 4, 5], "00:00", "23:59") }, utcOffsetMinutes: 0 }
+  assert.equal(isAlwaysOpen(place), false)
+
+  const state = getOpenState(place, at("23:59"))
+  assert.equal(state.isOpen, true)
+  assert.deepEqual(state.closesAt, { day: 5, hour: 23, minute: 59 })
+})
+
+test("regular office hours are not merged", () => {
+  const place = { regularOpeningHours: { periods: dailyPeriods(EVERY_DAY, "08:00", "18:00") }, utcOffsetMinutes: 0 }
+  assert.equal(isAlwaysOpen(place), false)
+
+  const state = getOpenState(place, at("19:00"))
+  assert.equal(state.isOpen, false)
+  assert.deepEqual(state.opensAt, { day: 4, hour: 8, minute: 0 })
+})
@@ -0,0 +1,33 @@
+// test/javascript/species_ranking.test.mjs
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { resolveSpeciesProfile, speciesFitReason } from "utils/species_ranking"
+
+const hedgehog = resolveSpeciesProfile("Igel")
+const parrot = resolveSpeciesProfile("parrot")
+
+test("a generic rescue or vet is not a good fit just because its category is weighted up", () => {
+  assert.equal(speciesFitReason({ displayName: "Tierschutzverein Nord", category: "rescue", types: [] }, hedgehog), null)
+  assert.equal(speciesFitReason({ displayName: "Tierarztpraxis Mitte", category: "vets", types: ["veterinary_care"] }, parrot), null)
+})
+
+test("places matching a species keyword are a good fit", () => {
+  assert.equal(speciesFitReason({ displayName: "Igelstation Berlin", category: "rescue", types: [] }, hedgehog), "Good fit for hedgehogs")
+  assert.equal(speciesFitReason({ displayName: "Praxis für Exoten", category: "vets", types: [] }, parrot), "Good fit for exotic animals")
+})
+
+test("places found by one of the species' extra queries are a good fit", () => {
+  const place = { displayName: "Tiernotdienst", category: "rescue", types: [], matchedQuery: "hedgehog rescue" }
+  assert.equal(speciesFitReason(place, hedgehog), "Good fit for hedgehogs")
+})
+
+test("places found by other extra queries are not", () => {
+  const place = { displayName: "Tiernotdienst", category: "vets", types: [], matchedQuery: "emergency vet" }
+  assert.equal(speciesFitReason(place, hedgehog), null)
+})
+
+test("no reason without a species profile", () => {
+  assert.equal(speciesFitReason({ displayName: "Igelstation", category: "rescue" }, null), null)
+})
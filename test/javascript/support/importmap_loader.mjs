@@ -0,0 +1,23 @@
+// test/javascript/support/importmap_loader.mjs
+
+/**
+ * Module hooks for running the importmap modules under node:test
+ *
+ * Resolves the bare "utils/…" and "config/…" specifiers to
+ * app/javascript like config/importmap.rb, and loads those files as ES
+ * modules (the app has no package.json to say so).
+ */
+
+const APP_JAVASCRIPT = new URL("../../../app/javascript/", import.meta.url)
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^(utils|config)\//.test(specifier)) {
+    return { url: new URL(`${specifier}.js`, APP_JAVASCRIPT).href, shortCircuit: true }
+  }
+  return nextResolve(specifier, context)
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(APP_JAVASCRIPT.href)) return nextLoad(url, { ...context, format: "module" })
+  return nextLoad(url, context)
+}
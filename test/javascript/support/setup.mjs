@@ -0,0 +1,17 @@
+// test/javascript/support/setup.mjs
+
+/**
+ * Preloaded by the JavaScript tests (see the README):
+ *
+ *   node --import ./test/javascript/support/setup.mjs --test test/javascript/
+ *
+ * Registers the importmap resolver and provides the browser globals the
+ * modules read (`<html lang>` and the browser languages); tests run in English.
+ */
+
+import { register } from "node:module"
+
+register("./importmap_loader.mjs", import.meta.url)
+
+globalThis.document = { documentElement: { lang: "en" } }
+globalThis.navigator ??= { languages: [], language: "en" }